@@ -1,5 +1,6 @@
 import deepcopy from "deepcopy";
 import {default as defaultFs} from "fs";
+import os from "os";
 import url from "url";
 import path from "path";
 import jwt from "jsonwebtoken";
@@ -7,8 +8,60 @@ import {default as defaultRequest} from "request";
 import when from "when";
 import nodefn from "when/node";
 
+import {
+  AuthenticationError,
+  InvalidArgumentError,
+  MissingArgumentError,
+  NoSignedFilesError,
+  RateLimitError,
+  ReviewTimeoutError,
+  ServerError,
+  StatusCheckError,
+  ValidationTimeoutError,
+} from "./errors";
+import {SubmissionState, getStateFilePath, hashFile} from "./state";
+import {signingStatus} from "./status";
+import {getValidationMessages} from "./validation";
+import {hashXpiContents as defaultHashXpiContents} from "./xpi";
+
 const defaultSetInterval = setInterval;
 const defaultClearInterval = clearInterval;
+const defaultSetTimeout = setTimeout;
+
+// Network errors that are usually resolved by trying again.
+const transientErrorCodes = [
+  "EAI_AGAIN",
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "EPIPE",
+  "ESOCKETTIMEDOUT",
+  "ETIMEDOUT",
+];
+// Response statuses of an overloaded or restarting server.
+const transientStatusCodes = [502, 503, 504];
+// Response status of a rate limited request.
+const tooManyRequestsStatusCode = 429;
+// Response statuses of requests with missing or rejected credentials.
+const authenticationStatusCodes = [401, 403];
+// Number of seconds the authentication token of a request is valid for.
+const authTokenLifetime = 60;
+
+// Distribution channels a version can be uploaded to. Listed versions are
+// published on addons.mozilla.org, unlisted ones are only signed.
+export const channels = ["listed", "unlisted"];
+
+// Generations of the API. Version 3 signs add-ons uploaded to its signing
+// endpoint; version 5 creates versions from uploads.
+export const apiVersions = ["v3", "v5"];
+
+// Version metadata that can be set with an upload, mapped to the names of
+// the API fields.
+export const versionMetadataFields = {
+  releaseNotes: "release_notes",
+  approvalNotes: "approval_notes",
+  license: "license",
+  compatibility: "compatibility",
+};
 
 /**
  * Construct a new addons.mozilla.org API client.
@@ -17,34 +70,80 @@ const defaultClearInterval = clearInterval;
  *   - `apiKey`: API key string from the Developer Hub.
  *   - `apiSecret`: API secret string from the Developer Hub.
  *   - `apiUrlPrefix`: API URL prefix, including any leading paths.
+ *   - `apiVersion`: The generation of the API to use, one of
+ *     `apiVersions`. By default, this is read from the API URL prefix,
+ *     such as `https://addons.mozilla.org/api/v5`, falling back to `v3`.
  *   - `signedStatusCheckInterval`: A period in millesconds between
  *     checks when waiting on add-on signing.
  *   - `signedStatusCheckTimeout`: A length in millesconds to give up
  *      if the add-on hasn't been signed.
+ *   - `maxStatusCheckFailures`: The number of status checks in a row
+ *     that may fail before giving up on the add-on.
  *   - `debugLogging`: When true, log more information
  *   - `downloadDir`: Absolute path to save downloaded files to.
  *     The working directory will be used by default.
+ *   - `maxRetries`: How many times to retry a request that failed because
+ *     of a network error, a timeout or a 502, 503 or 504 response.
+ *   - `retryDelay`: A period in milliseconds to wait before the first
+ *     retry. It doubles with each retry, plus some random jitter.
+ *   - `maxRateLimitWait`: The longest period in milliseconds to wait
+ *     before retrying a rate limited request. A `RateLimitError` is
+ *     thrown when the server asks to wait longer.
+ *   - `stateDir`: Directory to save the state of submissions in, so that
+ *     an interrupted `sign()` is resumed by the next one instead of
+ *     uploading again. State is not saved by default.
+ *   - `waitForReview`: When true, keep checking the status of an add-on
+ *     that is held for a manual review until it has been reviewed,
+ *     instead of giving up right away.
+ *   - `reviewCheckInterval`: A period in milliseconds between the first
+ *     status checks while waiting for a review. It doubles after each
+ *     check, up to `maxReviewCheckInterval`.
+ *   - `reviewTimeout`: A length in milliseconds to give up if the add-on
+ *     hasn't been reviewed.
  */
 export class Client {
   constructor({apiKey,
                apiSecret,
                apiUrlPrefix,
+               apiVersion=null,
                debugLogging=false,
                signedStatusCheckInterval=1000,
                signedStatusCheckTimeout=120000,  // 2 minutes.
+               maxStatusCheckFailures=3,
                logger=console,
                downloadDir=process.cwd(),
+               maxRetries=3,
+               retryDelay=1000,
+               maxRateLimitWait=60000,  // 1 minute.
+               requestTimeout=120000,  // 2 minutes.
+               stateDir=null,
+               waitForReview=false,
+               reviewCheckInterval=60000,  // 1 minute.
+               maxReviewCheckInterval=3600000,  // 1 hour.
+               reviewTimeout=604800000,  // 7 days.
                fs=defaultFs,
                request=defaultRequest,
+               setRetryTimeout=defaultSetTimeout,
                validateProgress}) {
     this.apiKey = apiKey;
     this.apiSecret = apiSecret;
     this.apiUrlPrefix = apiUrlPrefix;  // default set in CLI options.
+    this.apiVersion = apiVersion || getApiVersion(apiUrlPrefix);
     this.signedStatusCheckInterval = signedStatusCheckInterval;
     this.signedStatusCheckTimeout = signedStatusCheckTimeout;
+    this.maxStatusCheckFailures = maxStatusCheckFailures;
     this.debugLogging = debugLogging;
     this.logger = logger;
     this.downloadDir = downloadDir;
+    this.maxRetries = maxRetries;
+    this.retryDelay = retryDelay;
+    this.maxRateLimitWait = maxRateLimitWait;
+    this.requestTimeout = requestTimeout;
+    this.stateDir = stateDir;
+    this.waitForReview = waitForReview;
+    this.reviewCheckInterval = reviewCheckInterval;
+    this.maxReviewCheckInterval = maxReviewCheckInterval;
+    this.reviewTimeout = reviewTimeout;
 
     // Set up external dependencies, allowing for overrides.
     this._validateProgress = validateProgress || new PseudoProgress({
@@ -52,26 +151,152 @@ export class Client {
     });
     this._fs = fs;
     this._request = request;
+    this._setRetryTimeout = setRetryTimeout;
   }
 
   /**
    * Sign a new version of your add-on at addons.mozilla.org.
    *
+   * When the client has a `stateDir`, the state of the submission is saved
+   * there, and a pending submission of the same XPI is resumed instead of
+   * uploading it again.
+   *
    * @param {Object} conf
    *   - `xpiPath` Path to xpi file.
    *   - `guid` add-on GUID, aka the ID in install.rdf.
    *   - `version` add-on version string.
-   * @return {Promise}
+   *   - `channel` distribution channel, `listed` or `unlisted`. When not
+   *     given, the server picks the channel of the previous version.
+   *   - `sourcePath` path to a source code archive for reviewers, if any.
+   *   - `metadata` version metadata to send when the version is created,
+   *     as accepted by `createVersion()`, if any. This requires version 5
+   *     of the API.
+   * @return {Promise} resolved with the result of `waitForSignedAddon()`,
+   *   or a `serverRejected` result with the response in `statusData`.
+   *   Its `versionExists` property is true when the version was refused
+   *   because it already exists.
    */
-  sign({guid, version, xpiPath}) {
+  sign({guid, version, xpiPath, channel=null, sourcePath=null,
+        metadata=null}) {
+    if (metadata && this.apiVersion !== "v5") {
+      // Version 3 of the API can't change a version once it's uploaded.
+      return when.reject(new InvalidArgumentError(
+        "setting version metadata requires version 5 of the API; " +
+        `this client uses ${this.apiVersion}`));
+    }
+    if (!this.stateDir) {
+      return this.uploadAndWait({guid, version, xpiPath, channel,
+                                 sourcePath, metadata});
+    }
+
+    var state = new SubmissionState(
+      getStateFilePath(this.stateDir, guid, version));
+    var onStatus = (data) => {
+      this.saveState(state, {phase: "processing", lastStatus: data});
+    };
+
+    return when.all([
+      state.read().catch((error) => {
+        this.logger.error(
+          `Ignoring the unreadable state file ${state.filePath}:`, error);
+        return null;
+      }),
+      hashFile(xpiPath, {createReadStream: this._fs.createReadStream}),
+    ]).then(([savedState, xpiHash]) => {
+      var upload = () => this.uploadAndWait({guid, version, xpiPath, channel,
+                                             sourcePath, metadata}, {
+        onStatus,
+        onUploaded: (statusUrl) => this.saveState(state, {
+          guid,
+          version,
+          channel,
+          statusUrl,
+          uploadedAt: new Date().toISOString(),
+          xpiHash,
+          phase: "uploaded",
+          lastStatus: null,
+        }),
+      });
 
-    var addonUrl = "/addons/" + encodeURIComponent(guid);
-    addonUrl += "/versions/" + encodeURIComponent(version) + "/";
+      if (savedState && savedState.statusUrl) {
+        if (savedState.xpiHash === xpiHash) {
+          this.logger.log(
+            `Resuming the submission uploaded at ${savedState.uploadedAt} ` +
+            `(state file: ${state.filePath})`);
+          return this.waitForSignedAddon(savedState.statusUrl, {
+            channel: savedState.channel || channel,
+            onStatus,
+          }).catch((error) => {
+            if (!isMissingStatusError(error)) {
+              // Timeouts, network and credential failures may pass; the
+              // next run resumes the submission.
+              throw error;
+            }
+            // Otherwise every run would resume the same deleted submission
+            // and fail the same way.
+            this.logger.log(
+              "The submission no longer exists; uploading it again");
+            return this.removeState(state).then(upload);
+          });
+        }
+        this.logger.log(
+          "The XPI changed since it was last submitted; uploading it again");
+      }
+
+      return upload();
+    }).then((result) => {
+      if (result.status === signingStatus.serverRejected) {
+        // Nothing was uploaded, so there is nothing new to resume.
+        return result;
+      }
+      if (result.status === signingStatus.manualReview) {
+        // The next run will check whether the review is done.
+        return this.saveState(state, {phase: "manualReview"})
+          .then(() => result);
+      }
+      return this.removeState(state).then(() => result);
+    });
+  }
+
+  /**
+   * Upload a new version of your add-on and wait for it to be signed.
+   *
+   * @param {Object} conf
+   *   - `xpiPath` Path to xpi file.
+   *   - `guid` add-on GUID, aka the ID in install.rdf.
+   *   - `version` add-on version string.
+   *   - `channel` distribution channel, if any.
+   *   - `sourcePath` path to a source code archive, if any.
+   *   - `metadata` version metadata, with version 5 of the API only.
+   * @param {Object} options
+   *   - `onUploaded`: called with the status URL once the upload was
+   *     accepted. Waiting starts when the promise it returns is resolved.
+   *   - `onStatus`: passed on to `waitForSignedAddon()`.
+   * @return {Promise} resolved like `sign()`.
+   */
+  uploadAndWait({guid, version, xpiPath, channel=null, sourcePath=null,
+                 metadata=null},
+                {onUploaded, onStatus} = {}) {
+    if (this.apiVersion === "v5") {
+      return this.submitVersion({
+        guid, version, xpiPath, channel, sourcePath, metadata,
+      }, {onUploaded, onStatus});
+    }
+
+    var addonUrl = getVersionUrl(guid, version);
 
     return this.put({
       url: addonUrl,
-      formData: {
-        upload: this._fs.createReadStream(xpiPath),
+      // Open the file for each attempt in case the upload is retried.
+      formData: () => {
+        var formData = {upload: this._fs.createReadStream(xpiPath)};
+        if (channel) {
+          formData.channel = channel;
+        }
+        if (sourcePath) {
+          formData.source = this._fs.createReadStream(sourcePath);
+        }
+        return formData;
       },
     }, {
       throwOnBadResponse: false,
@@ -81,38 +306,358 @@ export class Client {
 
       var acceptableStatuses = [200, 201, 202];
       if (acceptableStatuses.indexOf(httpResponse.statusCode) === -1) {
-        if (typeof response === "object" && response.error) {
+        var isAuthenticationError = authenticationStatusCodes.indexOf(
+          httpResponse.statusCode) !== -1;
+        if (typeof response === "object" && response.error &&
+            !isAuthenticationError) {
           this.logger.error("Server response:", response.error,
                             "( status:", httpResponse.statusCode, ")");
-          return {success: false};
+          return {
+            success: false,
+            status: signingStatus.serverRejected,
+            statusData: response,
+            versionExists: isVersionConflict(httpResponse, response),
+            channel,
+            validationUrl: null,
+            validation: null,
+            downloadedFiles: [],
+          };
         }
 
-        throw new Error(
+        throw makeResponseError(
           "Received bad response from the server while requesting " +
           this.absoluteURL(addonUrl) +
           "\n\n" + "status: " + httpResponse.statusCode + "\n" +
           "response: " + formatResponse(response) + "\n" + "headers: " +
-          JSON.stringify(httpResponse.headers || {}) + "\n");
+          JSON.stringify(httpResponse.headers || {}) + "\n",
+          httpResponse, response);
       }
 
-      return this.waitForSignedAddon(response.url);
+      return when(onUploaded && onUploaded(response.url)).then(() => {
+        return this.waitForSignedAddon(response.url, {channel, onStatus});
+      });
+    });
+  }
+
+  /**
+   * Check that the API credentials are accepted, without uploading
+   * anything.
+   *
+   * @param {Object} options
+   *   - `now`: function returning the current time, to compare with the
+   *     time of the server.
+   * @return {Promise} resolved with the `id`, `username` and `name` of the
+   *   account the credentials belong to. It is rejected with an
+   *   `AuthenticationError` explaining why they were rejected.
+   */
+  verifyCredentials({now=Date.now} = {}) {
+    return this.get({url: "/accounts/profile/"}, {
+      throwOnBadResponse: false,
+    }).then(([httpResponse, body]) => {
+      var statusCode = httpResponse.statusCode;
+      if (authenticationStatusCodes.indexOf(statusCode) !== -1) {
+        var {reason, explanation} = getAuthenticationFailure(
+          httpResponse, body, {apiKey: this.apiKey, now: now()});
+        throw new AuthenticationError(
+          `The API credentials were rejected: ${explanation}; ` +
+          `status: ${statusCode}; response: ${formatResponse(body)}`, {
+            reason,
+            status: statusCode,
+            headers: httpResponse.headers || {},
+            body,
+          });
+      }
+      if (statusCode > 299 || statusCode < 200) {
+        throw makeResponseError(
+          "Received bad response from the server while verifying the " +
+          `API credentials; status: ${statusCode}; ` +
+          "response: " + formatResponse(body),
+          httpResponse, body);
+      }
+      return {
+        id: body.id,
+        username: body.username,
+        name: body.name || null,
+      };
+    });
+  }
+
+  /**
+   * Get an add-on.
+   *
+   * @param {String} guid - add-on GUID, aka the ID in install.rdf.
+   * @return {Promise} resolved with the add-on, normalized like
+   *   `normalizeAddon()` does, or null when it does not exist.
+   */
+  getAddon(guid) {
+    return this.getResource(getAddonUrl(guid), `getting ${guid}`)
+      .then((addon) => addon && normalizeAddon(addon));
+  }
+
+  /**
+   * List the versions of an add-on, listed and unlisted.
+   *
+   * All the pages of results are requested.
+   *
+   * @param {String} guid - add-on GUID, aka the ID in install.rdf.
+   * @return {Promise} resolved with the versions, normalized like
+   *   `normalizeVersion()` does. There are none when the add-on does not
+   *   exist yet.
+   */
+  listVersions(guid) {
+    var versions = [];
+
+    var getPage = (url) => this.getResource(
+      url, `listing the versions of ${guid}`
+    ).then((page) => {
+      if (!page) {
+        return versions;
+      }
+      versions.push(...page.results.map(normalizeVersion));
+      return page.next ? getPage(page.next) : versions;
     });
+
+    return getPage(getAddonUrl(guid) +
+                   "versions/?filter=all_with_unlisted");
+  }
+
+  /**
+   * Get a version of an add-on, with its signing status.
+   *
+   * @param {String} guid - add-on GUID, aka the ID in install.rdf.
+   * @param {String} version - add-on version string.
+   * @return {Promise} resolved with the version, normalized like
+   *   `normalizeVersion()` does, or null when it does not exist.
+   */
+  getVersion(guid, version) {
+    return this.getResource(this.getVersionStatusUrl(guid, version),
+                            `getting version ${version} of ${guid}`)
+      .then((data) => data && normalizeVersion(data));
+  }
+
+  /**
+   * Get the files of a version of an add-on.
+   *
+   * @param {String} guid - add-on GUID, aka the ID in install.rdf.
+   * @param {String} version - add-on version string.
+   * @return {Promise} resolved with the files, normalized like
+   *   `normalizeVersion()` does. There are none when the version does not
+   *   exist.
+   */
+  getVersionFiles(guid, version) {
+    return this.getVersion(guid, version)
+      .then((found) => found ? found.files : []);
+  }
+
+  /**
+   * Resume waiting on a version that was already submitted for signing.
+   *
+   * This is useful when an earlier `sign()` was interrupted while waiting.
+   *
+   * @param {Object} conf
+   *   - `guid` add-on GUID, aka the ID in install.rdf.
+   *   - `version` add-on version string.
+   *   - `channel` distribution channel the version was uploaded to, if
+   *     known.
+   * @return {Promise} resolved like `waitForSignedAddon()`.
+   */
+  resume({guid, version, channel=null}) {
+    var statusUrl = this.getVersionStatusUrl(guid, version);
+
+    // This rejects with a ServerError, such as a 404, if the version
+    // was never submitted.
+    return this.get({url: statusUrl})
+      .then(() => this.waitForSignedAddon(statusUrl, {channel}));
+  }
+
+  /**
+   * Download the signed files of a version that was already signed from
+   * the same XPI, instead of uploading it again.
+   *
+   * The signed files are downloaded to a new temporary directory and
+   * compared with the XPI, leaving out the signatures. They are moved to
+   * the download directory when they match, and removed otherwise, so
+   * that files already in the download directory are left alone. The
+   * temporary directory is removed afterwards.
+   *
+   * @param {Object} conf
+   *   - `guid` add-on GUID, aka the ID in install.rdf.
+   *   - `version` add-on version string.
+   *   - `xpiPath` Path to the xpi file that would be uploaded.
+   *   - `channel` distribution channel the version would be uploaded to,
+   *     if known.
+   * @param {Object} options
+   *   - `hashXpiContents`: function returning a promise for the hash of
+   *     the files in an XPI.
+   *   - `tempDir`: directory to create the temporary directory in.
+   * @return {Promise} resolved with a `signed` result, like
+   *   `waitForSignedAddon()`, whose `alreadySigned` property is true and
+   *   whose `validation` holds the results of the version's validation.
+   *   It is resolved with null when the version does not exist, is not
+   *   signed, or was signed from a different XPI.
+   */
+  downloadIfSigned({guid, version, xpiPath, channel=null},
+                   {hashXpiContents=defaultHashXpiContents,
+                    tempDir=os.tmpdir()} = {}) {
+    return this.getResource(
+      this.getVersionStatusUrl(guid, version),
+      `checking whether version ${version} of ${guid} is signed`
+    ).then((data) => {
+      var signedFiles = this.getSignedFiles(data);
+      if (!signedFiles.length) {
+        return null;
+      }
+
+      // Each call gets its own directory, so that jobs checking the same
+      // version at the same time don't overwrite each other's files.
+      return nodefn.call(this._fs.mkdtemp.bind(this._fs),
+                         path.join(tempDir, "sign-addon-"))
+        .then((downloadDir) => {
+          var download = this.downloadSignedFiles(signedFiles, {
+            downloadDir,
+            listDownloads: false,
+          });
+          return when(download).then((result) => {
+            var tempFiles = result.downloadedFiles;
+            var downloadedFiles = tempFiles.map(
+              (file) => path.join(this.downloadDir, path.basename(file)));
+            return when.all([xpiPath, ...tempFiles].map(hashXpiContents))
+              .then(([xpiHash, ...signedHashes]) => {
+                if (signedHashes.indexOf(xpiHash) === -1) {
+                  // The files are removed with the temporary directory.
+                  this.logger.log(
+                    `Version ${version} of ${guid} is already signed, but ` +
+                    "not from this XPI");
+                  return null;
+                }
+                this.logger.log(
+                  `Version ${version} of ${guid} is already signed from ` +
+                  "this XPI; its signed files were downloaded instead of " +
+                  "uploading it again");
+                return when.all(tempFiles.map(
+                  (file, i) => moveFile(this._fs, file, downloadedFiles[i])))
+                  .then(() => {
+                    logDownloadedFiles(this.logger, downloadedFiles);
+                    return this.getValidationResults(data);
+                  })
+                  .then((validation) => ({
+                    success: true,
+                    status: signingStatus.signed,
+                    statusData: data,
+                    channel: channel || data.channel || null,
+                    validationUrl: data.validation_url || null,
+                    validation,
+                    downloadedFiles,
+                    alreadySigned: true,
+                  }));
+              });
+          }).finally(() => {
+            return removeTempDir(this._fs, downloadDir).catch((error) => {
+              this.debug("Could not remove the temporary directory " +
+                         `${downloadDir}:`, error);
+            });
+          });
+        });
+    });
+  }
+
+  /**
+   * GET a resource of the API.
+   *
+   * @param {String} url - URL or API path of the resource.
+   * @param {String} description - what the request is for, to explain
+   *   errors, such as `listing the versions of some-guid`.
+   * @return {Promise} resolved with the response body, or null when the
+   *   resource does not exist.
+   */
+  getResource(url, description) {
+    return this.get({url}, {
+      throwOnBadResponse: false,
+    }).then(([httpResponse, body]) => {
+      if (httpResponse.statusCode === 404) {
+        return null;
+      }
+      if (httpResponse.statusCode > 299 || httpResponse.statusCode < 200) {
+        throw makeResponseError(
+          `Received bad response from the server while ${description}; ` +
+          `status: ${httpResponse.statusCode}; ` +
+          "response: " + formatResponse(body),
+          httpResponse, body);
+      }
+      return body;
+    });
+  }
+
+  /**
+   * Returns the API path to check the signing status of a version at.
+   */
+  getVersionStatusUrl(guid, version) {
+    if (this.apiVersion === "v5") {
+      // Versions are looked up by number with a "v" prefix.
+      return getAddonVersionUrl(guid, `v${version}`);
+    }
+    return getVersionUrl(guid, version);
+  }
+
+  /**
+   * Returns the signed files of a version, from its status returned by
+   * the API, in the format `downloadSignedFiles()` accepts.
+   */
+  getSignedFiles(data) {
+    if (typeof data !== "object" || !data) {
+      return [];
+    }
+    if (this.apiVersion === "v5") {
+      var file = data.file || {};
+      return file.status === "public" ?
+        [{signed: true, download_url: file.url}] : [];
+    }
+    var signedAndReady = data.valid && data.active && data.reviewed &&
+                         data.files && data.files.length > 0;
+    return signedAndReady ?
+      data.files.filter((signedFile) => signedFile.signed) : [];
   }
 
   /**
    * Poll a status URL, waiting for the queued add-on to be signed.
    *
+   * The promise is rejected with a `StatusCheckError` once
+   * `maxStatusCheckFailures` checks in a row have failed.
+   *
+   * When the client is configured to `waitForReview`, an add-on that is
+   * held for a manual review is polled at a growing interval until it has
+   * been reviewed, or rejected with a `ReviewTimeoutError` after
+   * `reviewTimeout`.
+   *
    * @param {String} URL to GET for add-on status.
-   * @return {Promise}
+   * @param {Object} options
+   *   - `onStatus`: called with each status received from the API.
+   *   - `channel`: distribution channel of the add-on, if known. This
+   *     tailors the messages about what happens next.
+   * @return {Promise} resolved with an object with these properties:
+   *   - `success`: true if the add-on was signed.
+   *   - `status`: one of the `signingStatus` values.
+   *   - `statusData`: the last status returned by the API.
+   *   - `channel`: the distribution channel, or null if not known.
+   *   - `validationUrl`: the URL of the validation results, if any.
+   *   - `validation`: messages as returned by `getValidationMessages()`,
+   *     or null if they are not available.
+   *   - `downloadedFiles`: paths of the downloaded signed files.
    */
   waitForSignedAddon(statusUrl, opt) {
+    if (this.apiVersion === "v5") {
+      return this.waitForVersionFile(statusUrl, opt);
+    }
     var lastStatusResponse;
+    var failedStatusChecks = 0;
 
     opt = {
       clearTimeout: clearTimeout,
       setAbortTimeout: setTimeout,
       setStatusCheckTimeout: setTimeout,
       abortAfter: this.signedStatusCheckTimeout,
+      now: Date.now,
+      channel: null,
       ...opt,
     };
 
@@ -120,11 +665,63 @@ export class Client {
       this._validateProgress.animate();
       var statusCheckTimeout;
       var nextStatusCheck;
+      var statusCheckInterval = this.signedStatusCheckInterval;
+      // When the wait for a manual review started, if it has.
+      var reviewStartedAt = null;
+      // Set once waiting is over, so that a check that was under way when
+      // it timed out doesn't schedule another one.
+      var settled = false;
+
+      const waitForReview = (data) => {
+        if (reviewStartedAt === null) {
+          reviewStartedAt = opt.now();
+          statusCheckInterval = this.reviewCheckInterval;
+          this._validateProgress.finish();
+          this.logger.log("Validation results:", data.validation_url);
+          this.logger.log(
+            "Your add-on passed validation and is waiting for a manual " +
+            "review; its status will be checked until it has been reviewed");
+
+          // Reviews take much longer than validation.
+          opt.clearTimeout(statusCheckTimeout);
+          statusCheckTimeout = opt.setAbortTimeout(() => {
+            settled = true;
+            opt.clearTimeout(nextStatusCheck);
+            reject(new ReviewTimeoutError(
+              "The add-on was not reviewed within " +
+              `${formatDuration(this.reviewTimeout)}; last status: ` +
+              formatResponse(lastStatusResponse), {
+                lastStatus: lastStatusResponse,
+              }));
+          }, this.reviewTimeout);
+        } else {
+          statusCheckInterval = Math.min(statusCheckInterval * 2,
+                                         this.maxReviewCheckInterval);
+          this.logger.log(
+            "Still waiting for a review after " +
+            `${formatDuration(opt.now() - reviewStartedAt)}; ` +
+            `checking again in ${formatDuration(statusCheckInterval)}`);
+        }
+        nextStatusCheck = opt.setStatusCheckTimeout(
+            checkSignedStatus, statusCheckInterval);
+      };
 
       const checkSignedStatus = () => {
         this.get({url: statusUrl}).then((result) => {
+          if (settled) {
+            return;
+          }
           var data = result[1];
+          if (typeof data !== "object" || !data) {
+            throw makeResponseError(
+              "Received an unexpected status response: " +
+              formatResponse(data || "[empty]"), result[0], data);
+          }
           lastStatusResponse = data;
+          failedStatusChecks = 0;
+          if (opt.onStatus) {
+            opt.onStatus(data);
+          }
 
           // TODO: remove this when the API has been fully deployed with this
           // change: https://github.com/mozilla/olympia/pull/1041
@@ -142,34 +739,92 @@ export class Client {
           // be signed.
           var requiresManualReview = data.valid && apiReportsAutoSigning &&
                                      !canBeAutoSigned;
+          // A reviewer declined to sign the add-on.
+          var rejectedInReview = requiresManualReview && data.reviewed &&
+                                 data.passed_review === false;
+
+          if (this.waitForReview && requiresManualReview) {
+            if (data.processed && !signedAndReady && !rejectedInReview) {
+              return waitForReview(data);
+            }
+            // The review is over; report it like an automatic signing.
+            requiresManualReview = false;
+          }
 
           if (data.processed &&
-                (failedValidation || signedAndReady || requiresManualReview)) {
+                (failedValidation || signedAndReady || requiresManualReview ||
+                 rejectedInReview)) {
 
+            settled = true;
             this._validateProgress.finish();
             opt.clearTimeout(statusCheckTimeout);
-            this.logger.log("Validation results:", data.validation_url);
-
-            if (requiresManualReview) {
-              this.logger.log(
-                "Your add-on has been submitted for review. It passed " +
-                "validation but could not be automatically signed " +
-                "because this is a listed add-on.");
-              return resolve({success: false});
-            } else if (signedAndReady) {
-              // TODO: show some validation warnings if there are any.
-              // We should show things like "missing update URL in install.rdf"
-              return resolve(this.downloadSignedFiles(data.files));
-            } else {
-              this.logger.log(
-                "Your add-on failed validation and could not be signed");
-              return resolve({success: false});
+            if (reviewStartedAt === null) {
+              this.logger.log("Validation results:", data.validation_url);
             }
 
+            return resolve(this.getValidationResults(data)
+              .then((validation) => {
+                var outcome = {
+                  success: false,
+                  statusData: data,
+                  channel: opt.channel,
+                  validationUrl: data.validation_url || null,
+                  validation,
+                  downloadedFiles: [],
+                };
+                if (requiresManualReview) {
+                  this.logger.log(getManualReviewMessage(opt.channel));
+                  return {...outcome, status: signingStatus.manualReview};
+                } else if (rejectedInReview) {
+                  this.logger.log(
+                    "Your add-on was rejected in the manual review");
+                  return {...outcome, status: signingStatus.reviewRejected};
+                } else if (signedAndReady) {
+                  return when(this.downloadSignedFiles(data.files))
+                    .then((result) => {
+                      var message = getSignedMessage(opt.channel);
+                      if (message) {
+                        this.logger.log(message);
+                      }
+                      return {
+                        ...outcome,
+                        ...result,
+                        status: signingStatus.signed,
+                      };
+                    });
+                } else {
+                  this.logger.log(
+                    "Your add-on failed validation and could not be signed");
+                  return {...outcome, status: signingStatus.failedValidation};
+                }
+              }));
+
           } else {
             // The add-on has not been fully processed yet.
             nextStatusCheck = opt.setStatusCheckTimeout(
-                checkSignedStatus, this.signedStatusCheckInterval);
+                checkSignedStatus, statusCheckInterval);
+          }
+        }).catch((error) => {
+          if (settled) {
+            return;
+          }
+          failedStatusChecks++;
+          this.debug(`Status check failed (${failedStatusChecks} of ` +
+                     `${this.maxStatusCheckFailures} in a row):`, error);
+
+          if (failedStatusChecks >= this.maxStatusCheckFailures) {
+            settled = true;
+            this._validateProgress.finish();
+            opt.clearTimeout(statusCheckTimeout);
+            reject(new StatusCheckError(
+              `Checking the add-on status failed ${failedStatusChecks} ` +
+              `times in a row; last error: ${error.message}`, {
+                cause: error,
+                lastStatus: lastStatusResponse || null,
+              }));
+          } else {
+            nextStatusCheck = opt.setStatusCheckTimeout(
+                checkSignedStatus, statusCheckInterval);
           }
         });
       };
@@ -177,14 +832,497 @@ export class Client {
       checkSignedStatus();
 
       statusCheckTimeout = opt.setAbortTimeout(() => {
+        settled = true;
         this._validateProgress.finish();
         opt.clearTimeout(nextStatusCheck);
-        reject(new Error(
+        reject(new ValidationTimeoutError(
             "Validation took too long to complete; last status: " +
-            formatResponse(lastStatusResponse || "[null]")));
+            formatResponse(lastStatusResponse || "[null]"), {
+              lastStatus: lastStatusResponse || null,
+            }));
+
+      }, opt.abortAfter);
+
+    });
+  }
+
+  /**
+   * Upload a new version of your add-on with version 5 of the API and wait
+   * for it to be signed.
+   *
+   * The XPI is uploaded and validated first. A version is then created
+   * from the upload, with any metadata, and the source code is attached
+   * to it.
+   *
+   * @param {Object} conf - as accepted by `uploadAndWait()`, except that
+   *   the `channel` is required.
+   * @param {Object} options - as accepted by `uploadAndWait()`. The status
+   *   URL passed to `onUploaded` is that of the created version.
+   * @return {Promise} resolved like `sign()`.
+   */
+  submitVersion({guid, xpiPath, channel=null, sourcePath=null,
+                 metadata=null},
+                {onUploaded, onStatus} = {}) {
+    if (!channel) {
+      return when.reject(new MissingArgumentError(
+        "a channel is required to upload with version 5 of the API",
+        {argument: "channel"}));
+    }
+
+    return this.uploadXpi({xpiPath, channel}).then((upload) => {
+      var validation = getValidationMessages(upload.validation);
+      var outcome = {
+        success: false,
+        statusData: upload,
+        channel,
+        validationUrl: null,
+        validation,
+        downloadedFiles: [],
+      };
+      if (!upload.valid) {
+        this.logger.log(
+          "Your add-on failed validation and could not be signed");
+        return {...outcome, status: signingStatus.failedValidation};
+      }
+
+      return this.createVersion({guid, upload: upload.uuid, metadata})
+        .then((responseResult) => {
+          var httpResponse = responseResult[0] || {};
+          var response = responseResult[1];
+
+          var acceptableStatuses = [200, 201, 202];
+          if (acceptableStatuses.indexOf(httpResponse.statusCode) === -1) {
+            var rejectionStatuses = [400, 409];
+            if (rejectionStatuses.indexOf(httpResponse.statusCode) !== -1 &&
+                typeof response === "object" && response) {
+              this.logger.error("Server response:", formatResponse(response),
+                                "( status:", httpResponse.statusCode, ")");
+              return {
+                ...outcome,
+                status: signingStatus.serverRejected,
+                statusData: response,
+                versionExists: isVersionConflict(httpResponse, response),
+              };
+            }
+            throw makeResponseError(
+              "Received bad response from the server while creating a " +
+              `version of ${guid}; status: ${httpResponse.statusCode}; ` +
+              "response: " + formatResponse(response),
+              httpResponse, response);
+          }
+
+          var versionUrl = getAddonVersionUrl(guid, response.id);
+          return when(sourcePath && this.patch({
+            url: versionUrl,
+            formData: () => ({
+              source: this._fs.createReadStream(sourcePath),
+            }),
+          }))
+            .then(() => onUploaded && onUploaded(versionUrl))
+            .then(() => this.waitForVersionFile(versionUrl, {
+              channel,
+              validation,
+              onStatus,
+            }));
+        });
+    });
+  }
+
+  /**
+   * Validate an XPI without creating a version, with version 5 of the API.
+   *
+   * The XPI is uploaded to the standalone upload endpoint, so its version
+   * number can still be used for a later submission.
+   *
+   * @param {Object} conf
+   *   - `xpiPath` Path to xpi file.
+   *   - `channel` distribution channel to validate the XPI for. Default:
+   *     `listed`.
+   * @return {Promise} resolved like `sign()`, with a `validated` or
+   *   `failedValidation` status.
+   */
+  validate({xpiPath, channel=null}) {
+    if (this.apiVersion !== "v5") {
+      return when.reject(new InvalidArgumentError(
+        "validating without creating a version requires version 5 of " +
+        `the API; this client uses ${this.apiVersion}`));
+    }
+    channel = channel || "listed";
+
+    return this.uploadXpi({xpiPath, channel}).then((upload) => {
+      var result = {
+        success: !!upload.valid,
+        status: upload.valid ? signingStatus.validated :
+                               signingStatus.failedValidation,
+        statusData: upload,
+        channel,
+        validationUrl: null,
+        validation: getValidationMessages(upload.validation),
+        downloadedFiles: [],
+      };
+      this.logger.log(upload.valid ? "Your add-on passed validation" :
+                                     "Your add-on failed validation");
+      return result;
+    });
+  }
+
+  /**
+   * Upload an XPI with version 5 of the API and wait for it to be
+   * validated.
+   *
+   * @param {Object} conf
+   *   - `xpiPath` Path to xpi file.
+   *   - `channel` distribution channel to upload the XPI for.
+   * @return {Promise} resolved with the processed upload returned by the
+   *   API. It is rejected with a `ValidationTimeoutError` when the upload
+   *   was not processed in time.
+   */
+  uploadXpi({xpiPath, channel}) {
+    return this.post({
+      url: "/addons/upload/",
+      // Open the file for each attempt in case the upload is retried.
+      formData: () => ({
+        upload: this._fs.createReadStream(xpiPath),
+        channel,
+      }),
+    }).then((result) => {
+      this._validateProgress.animate();
+      return this.pollStatus(result[1].url, {
+        isDone: (upload) => upload.processed,
+        onTimeout: (lastStatus) => new ValidationTimeoutError(
+          "Validation took too long to complete; last status: " +
+          formatResponse(lastStatus || "[null]"), {lastStatus}),
+      }).finally(() => this._validateProgress.finish());
+    });
+  }
+
+  /**
+   * Create a version of an add-on from an upload, with version 5 of the
+   * API. The add-on is created too when it doesn't exist yet.
+   *
+   * @param {Object} conf
+   *   - `guid` add-on GUID, aka the ID in install.rdf.
+   *   - `upload` the UUID of a valid upload.
+   *   - `metadata` version metadata, if any: an object with any of these
+   *     properties:
+   *     - `releaseNotes`: release notes, as text or as an object that maps
+   *       locales to text.
+   *     - `approvalNotes`: notes for reviewers.
+   *     - `license`: the license slug, such as `MPL-2.0`.
+   *     - `compatibility`: object that maps application names, such as
+   *       `firefox`, to objects with `min` and `max` versions.
+   * @return {Promise} resolved with the response of the request, like
+   *   `request()` with `throwOnBadResponse` turned off. The body is the
+   *   created version.
+   */
+  createVersion({guid, upload, metadata=null}) {
+    var fields = {upload, ...getMetadataFields(metadata)};
+
+    return this.post({
+      url: getAddonUrl(guid) + "versions/",
+      json: fields,
+    }, {
+      throwOnBadResponse: false,
+    }).then((responseResult) => {
+      if ((responseResult[0] || {}).statusCode !== 404) {
+        return responseResult;
+      }
+      return this.put({
+        url: getAddonUrl(guid),
+        json: {version: fields},
+      }, {
+        throwOnBadResponse: false,
+      }).then(([httpResponse, addon]) => {
+        var statusCode = httpResponse.statusCode;
+        if (statusCode < 200 || statusCode > 299 ||
+            typeof addon !== "object" || !addon) {
+          return [httpResponse, addon];
+        }
+        // The `version` field only takes the version to create; the
+        // created version is the latest one of the add-on.
+        var created = addon.latest_unlisted_version || addon.current_version;
+        if (created) {
+          return [httpResponse, created];
+        }
+        // Listed versions waiting for a review are neither, but the new
+        // add-on has no other version.
+        return this.getResource(
+          getAddonUrl(guid) + "versions/?filter=all_with_unlisted",
+          `getting the version created for ${guid}`
+        ).then((page) => {
+          var versions = (page && page.results) || [];
+          if (!versions.length) {
+            throw new ServerError(
+              `The version created for ${guid} was not found`,
+              {status: statusCode, headers: httpResponse.headers, body: addon});
+          }
+          return [httpResponse, versions[0]];
+        });
+      });
+    });
+  }
+
+  /**
+   * Poll a version created with version 5 of the API, waiting for its file
+   * to be signed.
+   *
+   * A listed version whose file is still waiting to be reviewed after the
+   * status check timeout is held for a manual review. When the client is
+   * configured to `waitForReview`, it is then polled at a growing interval
+   * until it has been reviewed. Other versions that are not signed in time
+   * are rejected with a `ValidationTimeoutError`, as with version 3.
+   *
+   * @param {String} versionUrl - URL to GET for the version.
+   * @param {Object} options
+   *   - `onStatus`: called with each version received from the API.
+   *   - `channel`: distribution channel of the version, if known.
+   *   - `validation`: messages of the validated upload, if known.
+   * @return {Promise} resolved like `waitForSignedAddon()`. The API has
+   *   no validation results for a version, so when a version is resumed
+   *   without them, the result's `validation` is null and its
+   *   `validationUnavailable` property is true.
+   */
+  waitForVersionFile(versionUrl, opt) {
+    opt = {
+      abortAfter: this.signedStatusCheckTimeout,
+      now: Date.now,
+      channel: null,
+      validation: null,
+      ...opt,
+    };
+    var isDone = (data) => {
+      var status = (data.file || {}).status;
+      return status === "public" || status === "disabled";
+    };
+
+    return this.pollStatus(versionUrl, {
+      ...opt,
+      isDone,
+      onTimeout: (lastStatus) => new ValidationTimeoutError(
+        "The version was not signed in time; last status: " +
+        formatResponse(lastStatus || "[null]"), {lastStatus}),
+    }).catch((error) => {
+      if (!(error instanceof ValidationTimeoutError) ||
+          !isHeldForReview(error.lastStatus, opt.channel)) {
+        throw error;
+      }
+      if (!this.waitForReview) {
+        return error.lastStatus;
+      }
+
+      var reviewStartedAt = opt.now();
+      this.logger.log(
+        "Your add-on passed validation and is waiting for a manual " +
+        "review; its status will be checked until it has been reviewed");
+      return this.pollStatus(versionUrl, {
+        ...opt,
+        isDone,
+        abortAfter: this.reviewTimeout,
+        interval: (checks) => {
+          var interval = Math.min(
+            this.reviewCheckInterval * Math.pow(2, checks - 1),
+            this.maxReviewCheckInterval);
+          this.logger.log(
+            "Still waiting for a review after " +
+            `${formatDuration(opt.now() - reviewStartedAt)}; ` +
+            `checking again in ${formatDuration(interval)}`);
+          return interval;
+        },
+        onTimeout: (lastStatus) => new ReviewTimeoutError(
+          "The add-on was not reviewed within " +
+          `${formatDuration(this.reviewTimeout)}; last status: ` +
+          formatResponse(lastStatus), {lastStatus}),
+      });
+    }).then((data) => {
+      var channel = opt.channel || data.channel || null;
+      var outcome = {
+        success: false,
+        statusData: data,
+        channel,
+        validationUrl: null,
+        validation: opt.validation,
+        validationUnavailable: !opt.validation,
+        downloadedFiles: [],
+      };
+      var file = data.file || {};
+
+      if (file.status === "public") {
+        return when(this.downloadSignedFiles([{
+          signed: true,
+          download_url: file.url,
+        }])).then((result) => {
+          var message = getSignedMessage(channel);
+          if (message) {
+            this.logger.log(message);
+          }
+          return {...outcome, ...result, status: signingStatus.signed};
+        });
+      }
+      if (file.status === "disabled") {
+        this.logger.log("Your add-on was rejected in the manual review");
+        return {...outcome, status: signingStatus.reviewRejected};
+      }
+      this.logger.log(getManualReviewMessage(channel));
+      return {...outcome, status: signingStatus.manualReview};
+    });
+  }
+
+  /**
+   * Poll a status URL until a check tells it's done.
+   *
+   * @param {String} statusUrl - URL to GET.
+   * @param {Object} options
+   *   - `isDone`: called with each status received; returns true when
+   *     polling is done.
+   *   - `onStatus`: called with each status received.
+   *   - `onTimeout`: called with the last status received, or null, when
+   *     `abortAfter` milliseconds have passed; returns the error to reject
+   *     the promise with.
+   *   - `abortAfter`: how long to poll, in milliseconds.
+   *   - `interval`: called with the number of checks so far; returns the
+   *     number of milliseconds to wait before the next one.
+   * @return {Promise} resolved with the last status. It is rejected with a
+   *   `StatusCheckError` once `maxStatusCheckFailures` checks in a row
+   *   have failed.
+   */
+  pollStatus(statusUrl, opt) {
+    opt = {
+      clearTimeout: clearTimeout,
+      setAbortTimeout: setTimeout,
+      setStatusCheckTimeout: setTimeout,
+      abortAfter: this.signedStatusCheckTimeout,
+      interval: () => this.signedStatusCheckInterval,
+      ...opt,
+    };
+    var lastStatus = null;
+    var failedStatusChecks = 0;
+    var checks = 0;
+
+    return when.promise((resolve, reject) => {
+      var abortTimeout;
+      var nextStatusCheck;
+      // Set once polling is over, so that a check that was under way when
+      // it timed out doesn't schedule another one.
+      var settled = false;
+
+      const checkStatus = () => {
+        checks++;
+        this.get({url: statusUrl}).then((result) => {
+          if (settled) {
+            return;
+          }
+          var data = result[1];
+          if (typeof data !== "object" || !data) {
+            throw makeResponseError(
+              "Received an unexpected status response: " +
+              formatResponse(data || "[empty]"), result[0], data);
+          }
+          lastStatus = data;
+          failedStatusChecks = 0;
+          if (opt.onStatus) {
+            opt.onStatus(data);
+          }
+
+          if (opt.isDone(data)) {
+            settled = true;
+            opt.clearTimeout(abortTimeout);
+            resolve(data);
+          } else {
+            nextStatusCheck = opt.setStatusCheckTimeout(
+                checkStatus, opt.interval(checks));
+          }
+        }).catch((error) => {
+          if (settled) {
+            return;
+          }
+          failedStatusChecks++;
+          this.debug(`Status check failed (${failedStatusChecks} of ` +
+                     `${this.maxStatusCheckFailures} in a row):`, error);
+
+          if (failedStatusChecks >= this.maxStatusCheckFailures) {
+            settled = true;
+            opt.clearTimeout(abortTimeout);
+            reject(new StatusCheckError(
+              `Checking the status failed ${failedStatusChecks} ` +
+              `times in a row; last error: ${error.message}`, {
+                cause: error,
+                lastStatus,
+              }));
+          } else {
+            nextStatusCheck = opt.setStatusCheckTimeout(
+                checkStatus, opt.interval(checks));
+          }
+        });
+      };
 
+      checkStatus();
+
+      abortTimeout = opt.setAbortTimeout(() => {
+        settled = true;
+        opt.clearTimeout(nextStatusCheck);
+        reject(opt.onTimeout(lastStatus));
       }, opt.abortAfter);
+    });
+  }
 
+  /**
+   * Save changes to the state of a submission.
+   *
+   * Signing goes on when the state can't be saved; it just can't be
+   * resumed later.
+   *
+   * @return {Promise}
+   */
+  saveState(state, changes) {
+    return state.update(changes).catch((error) => {
+      this.logger.error(
+        `Could not save the submission state to ${state.filePath}:`, error);
+    });
+  }
+
+  /**
+   * Remove the state of a submission that is over.
+   *
+   * @return {Promise} resolved even when the state can't be removed.
+   */
+  removeState(state) {
+    return state.remove().catch((error) => {
+      this.logger.error(
+        `Could not remove the state file ${state.filePath}:`, error);
+    });
+  }
+
+  /**
+   * Get the validation messages for a processed add-on.
+   *
+   * The results are taken from the status response when it includes them,
+   * otherwise they are fetched from its validation URL.
+   *
+   * @param {Object} statusData - the add-on status returned by the API.
+   * @return {Promise} resolved with messages as returned by
+   *                   `getValidationMessages()`, or null if the results
+   *                   are not available.
+   */
+  getValidationResults(statusData) {
+    if (statusData.validation_results) {
+      return when.resolve(
+        getValidationMessages(statusData.validation_results));
+    }
+    if (!statusData.validation_url) {
+      return when.resolve(null);
+    }
+
+    return this.get({url: statusData.validation_url}).then((result) => {
+      var results = result[1];
+      if (typeof results !== "object" || !results) {
+        this.debug("Validation results were not JSON:", results);
+        return null;
+      }
+      // Some API versions nest the results in a `validation` property.
+      return getValidationMessages(results.validation || results);
+    }).catch((error) => {
+      this.debug("Could not fetch validation results:", error);
+      return null;
     });
   }
 
@@ -194,10 +1332,17 @@ export class Client {
    * @param {Array} Array of file objects returned from the API.
    *                Each object needs to have these parameters:
    *                  - `download_url` - the URL to the file
+   * @param {Object} options
+   *   - `downloadDir`: directory to save the files in, instead of the
+   *     download directory of the client.
+   *   - `listDownloads`: whether to log the paths of the downloaded
+   *     files. Default: true.
    * @return {Promise}
    */
   downloadSignedFiles(signedFiles,
                       {createWriteStream=defaultFs.createWriteStream,
+                       downloadDir=this.downloadDir,
+                       listDownloads=true,
                        request,
                        stdout=process.stdout} = {}) {
     if (!request) {
@@ -209,7 +1354,7 @@ export class Client {
 
     function showProgress() {
       var progress = "...";
-      if (dataExpected !== null) {
+      if (dataExpected) {
         var amount = ((dataReceived / dataExpected) * 100).toFixed();
         // Pad the percentage amount so that the line length is consistent.
         // This should do something like '  0%', ' 25%', '100%'
@@ -225,38 +1370,83 @@ export class Client {
           "Downloading signed files: " + progress);
     }
 
-    const download = (fileUrl) => {
+    const downloadFile = (fileUrl) => {
       return when.promise((resolve, reject) => {
         // The API will give us a signed file named in a sane way.
-        var fileName = path.join(this.downloadDir, getUrlBasename(fileUrl));
+        var fileName = path.join(downloadDir, getUrlBasename(fileUrl));
         var out = createWriteStream(fileName);
-
-        request(this.configureRequest({
-            method: "GET",
-            url: fileUrl,
-            followRedirect: true,
-          }))
-          .on("error", reject)
+        // What this attempt added to the progress, to take back when it
+        // fails and the download is retried.
+        var attemptExpected = 0;
+        var attemptReceived = 0;
+        var failed = false;
+
+        const fail = (error) => {
+          if (failed) {
+            return;
+          }
+          failed = true;
+          dataExpected -= attemptExpected;
+          dataReceived -= attemptReceived;
+          // Don't leave an error page, or part of the file, behind.
+          req.abort();
+          out.on("close", () => {
+            nodefn.call(this._fs.unlink.bind(this._fs), fileName)
+              .catch((unlinkError) => {
+                this.debug(`Could not remove ${fileName}:`, unlinkError);
+              })
+              .then(() => reject(error));
+          });
+          out.destroy();
+        };
+
+        var req = request(this.configureRequest({
+          method: "GET",
+          url: fileUrl,
+          followRedirect: true,
+        }));
+        req
+          .on("error", fail)
           .on("response", function(data) {
+            if (data.statusCode === tooManyRequestsStatusCode) {
+              fail(makeRateLimitError(fileUrl, data));
+              return;
+            }
+            if (transientStatusCodes.indexOf(data.statusCode) !== -1) {
+              fail(makeStatusError(fileUrl, data));
+              return;
+            }
             var contentLength = data.headers["content-length"];
             if (contentLength) {
-              dataExpected += parseInt(contentLength);
+              attemptExpected = parseInt(contentLength);
+              dataExpected += attemptExpected;
             }
           })
           .on("data", function(chunk) {
+            if (failed) {
+              return;
+            }
+            attemptReceived += chunk.length;
             dataReceived += chunk.length;
             showProgress();
           })
           .pipe(out)
-          .on("error", reject);
+          .on("error", fail);
 
         out.on("finish", function() {
+          if (failed) {
+            return;
+          }
           stdout.write("\n");  // end the progress output
           resolve(fileName);
         });
       });
     };
 
+    const download = (fileUrl) => {
+      return this.retry(`GET ${fileUrl}`, () => downloadFile(fileUrl));
+    };
+
     // TODO: handle 404 downloads
 
     return when.promise((resolve, reject) => {
@@ -278,16 +1468,15 @@ export class Client {
         showProgress();
         resolve(when.all(allDownloads));
       } else {
-        reject(new Error(
+        reject(new NoSignedFilesError(
           "The XPI was processed but no signed files were found. Check your " +
           "manifest and make sure it targets Firefox as an application."));
       }
 
     }).then((downloadedFiles) => {
-      this.logger.log("Downloaded:");
-      downloadedFiles.forEach((fileName) => {
-        this.logger.log("    " + fileName.replace(process.cwd(), "."));
-      });
+      if (listDownloads) {
+        logDownloadedFiles(this.logger, downloadedFiles);
+      }
       return {
         success: true,
         downloadedFiles: downloadedFiles,
@@ -367,19 +1556,31 @@ export class Client {
    * Configures a request with defaults such as authentication headers.
    *
    * @param {Object} requestConf as accepted by the `request` module.
+   *                 `formData` can also be a function returning the form
+   *                 data, so that file streams are opened for each attempt.
    * @return {Object} new requestConf object suitable
    *                  for `request(conf)`, `request.get(conf)`, etc.
    */
   configureRequest(requestConf) {
     requestConf = {...requestConf};
     if (!requestConf.url) {
-      throw new Error("request URL was not specified");
+      throw new MissingArgumentError("request URL was not specified", {
+        argument: "url",
+      });
     }
     requestConf.url = this.absoluteURL(requestConf.url);
+    if (typeof requestConf.formData === "function") {
+      requestConf.formData = requestConf.formData();
+    }
+    if (requestConf.timeout === undefined) {
+      // Without it, a request to a server that stops responding would
+      // wait forever instead of being retried.
+      requestConf.timeout = this.requestTimeout;
+    }
 
     var authToken = jwt.sign({iss: this.apiKey}, this.apiSecret, {
       algorithm: "HS256",
-      expiresIn: 60,
+      expiresIn: authTokenLifetime,
     });
 
     requestConf.headers = {
@@ -394,7 +1595,10 @@ export class Client {
   /**
    * Make any HTTP request to the addons.mozilla.org API.
    *
-   * This includes the necessary authorization header.
+   * This includes the necessary authorization header. Requests that fail
+   * because of network errors or an unavailable server are retried.
+   * Rate limited requests are retried after the period given in the
+   * `Retry-After` header, or fail with a `RateLimitError`.
    *
    * @param {String} method - HTTP method name.
    * @param {Object} requestConf as accepted by the `request` module.
@@ -410,9 +1614,11 @@ export class Client {
    */
   request(method, requestConf, {throwOnBadResponse=true} = {}) {
     method = method.toLowerCase();
-    return when.promise((resolve) => {
-      requestConf = this.configureRequest(requestConf);
-      this.debug("[API] ->", requestConf);
+    var description = `${method.toUpperCase()} ${requestConf.url}`;
+
+    return this.retry(description, () => when.promise((resolve) => {
+      var attemptConf = this.configureRequest(requestConf);
+      this.debug("[API] ->", attemptConf);
 
       // Get the caller, like request.get(), request.put() ...
       var requestMethod = this._request[method].bind(this._request);
@@ -423,22 +1629,35 @@ export class Client {
       //   // promise gets resolved here
       // })
       //
-      resolve(nodefn.call(requestMethod, requestConf));
+      resolve(nodefn.call(requestMethod, attemptConf));
 
     }).then((responseResult) => {
-      var httpResponse = responseResult[0];
-      var body = responseResult[1];
+      var httpResponse = responseResult[0] || {};
+      var statusCode = httpResponse.statusCode;
+      if (statusCode === tooManyRequestsStatusCode) {
+        throw makeRateLimitError(this.absoluteURL(requestConf.url),
+                                 httpResponse, responseResult[1]);
+      }
+      if (transientStatusCodes.indexOf(statusCode) !== -1) {
+        var error = makeStatusError(this.absoluteURL(requestConf.url),
+                                    httpResponse, responseResult[1]);
+        error.responseResult = responseResult;
+        throw error;
+      }
+      return responseResult;
 
-      if (throwOnBadResponse) {
-        if (httpResponse.statusCode > 299 || httpResponse.statusCode < 200) {
-          throw new Error(
-            "Received bad response from " +
-            this.absoluteURL(requestConf.url) + "; " +
-            "status: " + httpResponse.statusCode + "; " +
-            "response: " + formatResponse(body));
-        }
+    })).catch((error) => {
+      if (error.responseResult) {
+        // Out of retries; handle the last response like any other.
+        return error.responseResult;
       }
+      throw error;
 
+    }).then((responseResult) => {
+      var httpResponse = responseResult[0];
+      var body = responseResult[1];
+
+      // Parse the body first, so that errors have it parsed too.
       if (
         httpResponse.headers &&
           httpResponse.headers["content-type"] === "application/json" &&
@@ -453,10 +1672,73 @@ export class Client {
       this.debug("[API] <-",
                  {headers: httpResponse.headers, response: body});
 
+      if (throwOnBadResponse) {
+        if (httpResponse.statusCode > 299 || httpResponse.statusCode < 200) {
+          throw makeResponseError(
+            "Received bad response from " +
+            this.absoluteURL(requestConf.url) + "; " +
+            "status: " + httpResponse.statusCode + "; " +
+            "response: " + formatResponse(body), httpResponse, body);
+        }
+      }
+
       return [httpResponse, body];
     });
   }
 
+  /**
+   * Run an operation, retrying it after transient failures.
+   *
+   * Each retry waits twice as long as the one before, plus a random amount
+   * so that many clients don't retry at the same moment. Rate limited
+   * attempts wait as long as the server asked instead.
+   *
+   * @param {String} description - what is being attempted, for debug output.
+   * @param {Function} operation - makes one attempt and returns a promise.
+   * @return {Promise} settled like the last attempt.
+   */
+  retry(description, operation, attempt=1) {
+    var maxAttempts = this.maxRetries + 1;
+
+    return when.try(operation).catch((error) => {
+      var failure = getTransientFailure(error);
+      if (!failure) {
+        throw error;
+      }
+      if (attempt >= maxAttempts) {
+        this.debug(`${description} failed (${failure}) on attempt ` +
+                   `${attempt} of ${maxAttempts}; giving up`);
+        throw error;
+      }
+
+      var delay = this.getRetryDelay(attempt);
+      if (error instanceof RateLimitError && error.retryAfter !== null) {
+        if (error.retryAfter > this.maxRateLimitWait) {
+          this.debug(`${description} was rate limited for ` +
+                     `${error.retryAfter}ms, longer than the ` +
+                     `${this.maxRateLimitWait}ms allowed; giving up`);
+          throw error;
+        }
+        delay = error.retryAfter;
+      }
+      this.debug(`${description} failed (${failure}) on attempt ` +
+                 `${attempt} of ${maxAttempts}; retrying in ${delay}ms`);
+      return when.promise((resolve) => {
+        this._setRetryTimeout(resolve, delay);
+      }).then(() => this.retry(description, operation, attempt + 1));
+    });
+  }
+
+  /**
+   * Returns the number of milliseconds to wait before retrying
+   * a failed attempt.
+   */
+  getRetryDelay(attempt) {
+    var delay = this.retryDelay * Math.pow(2, attempt - 1);
+    // Wait between half and all of the delay.
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
   /**
    * Output some debugging info if this instance is configured for it.
    */
@@ -597,6 +1879,340 @@ export class PseudoProgress {
   }
 }
 
+/**
+ * Returns the API path of an add-on version, where it's uploaded and its
+ * signing status can be checked.
+ */
+function getVersionUrl(guid, version) {
+  return "/addons/" + encodeURIComponent(guid) +
+         "/versions/" + encodeURIComponent(version) + "/";
+}
+
+
+/**
+ * Returns the API path of an add-on, in version 5 of the API. Version 3
+ * only has its versions under this path, for listing them.
+ */
+function getAddonUrl(guid) {
+  return "/addons/addon/" + encodeURIComponent(guid) + "/";
+}
+
+
+/**
+ * Returns the API path of an add-on version, in version 5 of the API.
+ *
+ * @param {String} guid - add-on GUID.
+ * @param {String|Number} versionId - the version ID, or its number
+ *   prefixed with `v`.
+ */
+function getAddonVersionUrl(guid, versionId) {
+  return getAddonUrl(guid) + "versions/" +
+         encodeURIComponent(versionId) + "/";
+}
+
+
+/**
+ * Returns the generation of the API that an API URL prefix points to.
+ *
+ * @param {String} apiUrlPrefix - such as
+ *                                `https://addons.mozilla.org/api/v5`.
+ * @return {String} one of `apiVersions`; `v3` when the prefix does not
+ *                  name a known version.
+ */
+export function getApiVersion(apiUrlPrefix) {
+  var match = /\/api\/(v\d+)\/?$/.exec(apiUrlPrefix || "");
+  if (match && apiVersions.indexOf(match[1]) !== -1) {
+    return match[1];
+  }
+  return "v3";
+}
+
+
+/**
+ * Returns version metadata, as accepted by `createVersion()`,
+ * with the names of the API fields.
+ */
+function getMetadataFields(metadata) {
+  var fields = {};
+  Object.keys(metadata || {}).forEach((name) => {
+    if (name in versionMetadataFields && metadata[name] !== undefined) {
+      fields[versionMetadataFields[name]] = metadata[name];
+    }
+  });
+  return fields;
+}
+
+
+/**
+ * Returns an error for an unexpected response.
+ *
+ * This is an `AuthenticationError` when the credentials were rejected,
+ * otherwise a `ServerError`.
+ */
+function makeResponseError(message, httpResponse, body) {
+  httpResponse = httpResponse || {};
+  var ErrorClass = ServerError;
+  if (authenticationStatusCodes.indexOf(httpResponse.statusCode) !== -1) {
+    ErrorClass = AuthenticationError;
+  }
+  return new ErrorClass(message, {
+    status: httpResponse.statusCode,
+    headers: httpResponse.headers || {},
+    body,
+  });
+}
+
+
+/**
+ * Returns why the credentials of a request were rejected.
+ *
+ * The `reason` is `clockSkew`, `expiredToken`, `unknownKey`,
+ * `badSignature`, or null when the response does not say, and the
+ * `explanation` tells how to fix it.
+ */
+function getAuthenticationFailure(httpResponse, body, {apiKey, now}) {
+  var detail = body && typeof body === "object" && body.detail ?
+    String(body.detail) : "";
+  var serverTime = Date.parse((httpResponse.headers || {}).date);
+  var skew = isNaN(serverTime) ? 0 : Math.round((now - serverTime) / 1000);
+
+  // Tokens are dated with the local clock, so they look expired or not
+  // yet valid to a server whose clock is far off.
+  if (Math.abs(skew) >= authTokenLifetime ||
+      /\biat\b|issued at|not yet valid|immature/i.test(detail)) {
+    var offset = skew ?
+      `${Math.abs(skew)} seconds ${skew > 0 ? "ahead of" : "behind"}` :
+      "out of sync with";
+    return {
+      reason: "clockSkew",
+      explanation: `the clock of this computer is ${offset} the server; ` +
+                   "set it to the right time",
+    };
+  }
+  if (/expired/i.test(detail)) {
+    return {
+      reason: "expiredToken",
+      explanation: "the token expired before the server received it; " +
+                   "check that the clock of this computer is right",
+    };
+  }
+  if (/unknown|issuer|\biss\b/i.test(detail)) {
+    return {
+      reason: "unknownKey",
+      explanation: `the API key ${apiKey} is unknown; check that it is ` +
+                   "the JWT issuer of your API credentials on AMO",
+    };
+  }
+  if (/signature/i.test(detail)) {
+    return {
+      reason: "badSignature",
+      explanation: "the request signature is invalid; check that the API " +
+                   "secret is the JWT secret that goes with the API key",
+    };
+  }
+  return {
+    reason: null,
+    explanation: detail || "the server did not say why",
+  };
+}
+
+
+/**
+ * Returns true when a version returned by version 5 of the API is held for
+ * a manual review: it is listed and its file is waiting to be reviewed.
+ * Unlisted versions are signed automatically, however long it takes.
+ */
+function isHeldForReview(versionData, channel) {
+  if (!versionData) {
+    return false;
+  }
+  var status = (versionData.file || {}).status;
+  return (channel || versionData.channel) === "listed" &&
+         status === "unreviewed";
+}
+
+
+/**
+ * Returns true for a `StatusCheckError` of a status URL that no longer
+ * exists, such as that of a version that was deleted.
+ */
+function isMissingStatusError(error) {
+  return error instanceof StatusCheckError && !!error.cause &&
+         error.cause.status === 404;
+}
+
+
+/**
+ * Move a file, copying it when it is on another file system.
+ *
+ * @param {Object} fs - file system module, like `fs`.
+ * @return {Promise} resolved once the file has been moved.
+ */
+function moveFile(fs, source, destination) {
+  return nodefn.call(fs.rename.bind(fs), source, destination)
+    .catch((error) => {
+      if (error.code !== "EXDEV") {
+        throw error;
+      }
+      return when.promise((resolve, reject) => {
+        fs.createReadStream(source)
+          .on("error", reject)
+          .pipe(fs.createWriteStream(destination))
+          .on("error", reject)
+          .on("finish", resolve);
+      }).then(() => nodefn.call(fs.unlink.bind(fs), source));
+    });
+}
+
+
+/**
+ * Remove a temporary directory and the files left in it.
+ *
+ * @param {Object} fs - file system module, like `fs`.
+ * @return {Promise} resolved once the directory has been removed.
+ */
+function removeTempDir(fs, dir) {
+  return nodefn.call(fs.readdir.bind(fs), dir)
+    .then((names) => when.all(names.map(
+      (name) => nodefn.call(fs.unlink.bind(fs), path.join(dir, name)))))
+    .then(() => nodefn.call(fs.rmdir.bind(fs), dir));
+}
+
+
+/**
+ * Log the paths of downloaded files.
+ */
+function logDownloadedFiles(logger, files) {
+  logger.log("Downloaded:");
+  files.forEach((fileName) => {
+    logger.log("    " + fileName.replace(process.cwd(), "."));
+  });
+}
+
+
+/**
+ * Returns an error for a response with a transient status code.
+ */
+function makeStatusError(absUrl, httpResponse, body=null) {
+  return makeResponseError(
+    `Received status ${httpResponse.statusCode} from ${absUrl}`,
+    httpResponse, body);
+}
+
+
+/**
+ * Returns an error for a rate limited response.
+ */
+function makeRateLimitError(absUrl, httpResponse, body=null) {
+  var headers = httpResponse.headers || {};
+  var retryAfter = parseRetryAfter(headers["retry-after"]);
+  var message = `Too many requests to ${absUrl}`;
+  if (retryAfter !== null) {
+    message += `; retry after ${Math.ceil(retryAfter / 1000)} seconds`;
+  }
+  return new RateLimitError(message, {retryAfter, headers, body});
+}
+
+
+/**
+ * Returns the period of a Retry-After header in milliseconds.
+ *
+ * The header is either a number of seconds or an HTTP date. Null is
+ * returned when it is missing or invalid.
+ */
+export function parseRetryAfter(value, now=Date.now()) {
+  if (typeof value !== "string" || !value.trim()) {
+    return null;
+  }
+  if (/^\s*\d+\s*$/.test(value)) {
+    return parseInt(value, 10) * 1000;
+  }
+  var date = Date.parse(value);
+  if (isNaN(date)) {
+    return null;
+  }
+  return Math.max(0, date - now);
+}
+
+
+/**
+ * Returns a short description of a failure that might not happen again,
+ * or null if retrying would not help.
+ */
+function getTransientFailure(error) {
+  if (!error) {
+    return null;
+  }
+  if (error instanceof RateLimitError) {
+    return "rate limited";
+  }
+  if (error instanceof ServerError &&
+      transientStatusCodes.indexOf(error.status) !== -1) {
+    return `status ${error.status}`;
+  }
+  if (transientErrorCodes.indexOf(error.code) !== -1) {
+    return error.code;
+  }
+  return null;
+}
+
+
+/**
+ * Returns the message that explains why an add-on is held for a manual
+ * review, and what happens next, for its distribution channel.
+ */
+function getManualReviewMessage(channel) {
+  var message = "Your add-on has been submitted for review. It passed " +
+                "validation but could not be automatically signed";
+  if (channel === "listed") {
+    return `${message} because it is listed on addons.mozilla.org. ` +
+           "It will be signed and published once a reviewer approves it.";
+  }
+  if (channel === "unlisted") {
+    return `${message}. It will be signed once a reviewer approves it, ` +
+           "and will not be published on addons.mozilla.org.";
+  }
+  return `${message}. It will be signed once a reviewer approves it.`;
+}
+
+
+/**
+ * Returns the message that explains what happens to a signed add-on for
+ * its distribution channel, or null when the channel is not known.
+ */
+function getSignedMessage(channel) {
+  if (channel === "listed") {
+    return "This version is listed, so it will also be published on " +
+           "addons.mozilla.org";
+  }
+  if (channel === "unlisted") {
+    return "This version is unlisted; it is up to you to distribute " +
+           "the signed files";
+  }
+  return null;
+}
+
+
+/**
+ * Returns a period in milliseconds as text, such as `2h 5m`.
+ */
+function formatDuration(milliseconds) {
+  var minutes = Math.round(milliseconds / 60000);
+  if (minutes < 1) {
+    return `${Math.round(milliseconds / 1000)}s`;
+  }
+  var hours = Math.floor(minutes / 60);
+  if (hours < 1) {
+    return `${minutes}m`;
+  }
+  var days = Math.floor(hours / 24);
+  if (days < 1) {
+    return `${hours}h ${minutes % 60}m`;
+  }
+  return `${days}d ${hours % 24}h`;
+}
+
+
 /**
  * Returns a nicely formatted HTTP response.
  *
@@ -623,6 +2239,80 @@ export function formatResponse(response, options) {
   return prettyResponse.toString();
 }
 
+/**
+ * Returns an add-on returned by the API, in the same format for all of
+ * its versions.
+ *
+ * @param {Object} addon - the add-on returned by the API.
+ * @return {Object} with these properties:
+ *   - `id`: the numeric ID of the add-on on AMO.
+ *   - `guid`: the add-on GUID, aka the ID in install.rdf.
+ *   - `slug`: the name of the add-on in its AMO URL.
+ *   - `name`: the name of the add-on, in English when it is translated.
+ *   - `status`: the status of the add-on, such as `public`.
+ *   - `url`: the page of the add-on on AMO.
+ *   - `currentVersion`: the version string of the current listed
+ *     version, or null if there is none.
+ */
+export function normalizeAddon(addon) {
+  var name = addon.name;
+  if (name && typeof name === "object") {
+    name = name["en-US"] || name[Object.keys(name)[0]];
+  }
+  return {
+    id: addon.id || null,
+    guid: addon.guid || null,
+    slug: addon.slug || null,
+    name: name || null,
+    status: addon.status || null,
+    url: addon.url || null,
+    currentVersion: (addon.current_version || {}).version || null,
+  };
+}
+
+/**
+ * Returns a version returned by the API, in the same format for the
+ * signing status of version 3 and the versions of version 5.
+ *
+ * @param {Object} data - the version returned by the API.
+ * @return {Object} with these properties:
+ *   - `id`: the numeric ID of the version on AMO, if known.
+ *   - `version`: the version string.
+ *   - `channel`: `listed` or `unlisted`, if known.
+ *   - `signed`: true if any of its files is signed.
+ *   - `files`: its files, as objects with `id`, `url`, `hash`, `size`,
+ *     `status` and `signed` properties. Properties the API did not
+ *     return are null.
+ */
+export function normalizeVersion(data) {
+  var files = data.files || (data.file ? [data.file] : []);
+  files = files.map((file) => ({
+    id: file.id || null,
+    url: file.url || file.download_url || null,
+    hash: file.hash || null,
+    size: file.size || null,
+    status: file.status || null,
+    signed: typeof file.signed === "boolean" ? file.signed :
+                                               file.status === "public",
+  }));
+  return {
+    id: data.id || data.pk || null,
+    version: data.version,
+    channel: data.channel || null,
+    signed: files.some((file) => file.signed),
+    files,
+  };
+}
+
+/**
+ * Returns true if a response refusing an upload says that the version
+ * already exists.
+ */
+function isVersionConflict(httpResponse, response) {
+  return httpResponse.statusCode === 409 ||
+         /already exists/i.test(formatResponse(response));
+}
+
 /**
  * Returns the basename of a URL, suitable for saving to disk.
  * */
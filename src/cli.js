@@ -0,0 +1,337 @@
+import when from "when";
+import yargs from "yargs";
+
+import {apiVersions, channels} from "./amo-client";
+import {
+  listVersionsAndExit as defaultListVersionsAndExit,
+  resumeSigningAndExit as defaultResumeSigningAndExit,
+  signAddonAndExit as defaultSignAddonAndExit,
+  whoamiAndExit as defaultWhoamiAndExit,
+} from "./sign";
+import {autoVersionStrategies} from "./version";
+import {listSourceFiles as defaultListSourceFiles} from "./xpi";
+
+
+/**
+ * Command line options, mapped to the `signAddon()` arguments they
+ * configure in `signingOptions()`.
+ */
+export const cliOptions = {
+  "xpi": {
+    describe: "Path to the add-on XPI file you want to sign",
+    type: "string",
+  },
+  "source-dir": {
+    describe: "Path to an add-on source directory to build an XPI " +
+              "from and sign, instead of --xpi",
+    type: "string",
+  },
+  "ignore-files": {
+    describe: "Patterns, in gitignore syntax, of files to leave out of " +
+              "the XPI built from --source-dir. These add to the " +
+              "patterns of a .amoignore file in the source directory.",
+    type: "array",
+  },
+  "list-files": {
+    describe: "Show the files that would be packed from --source-dir " +
+              "and exit without signing",
+    type: "boolean",
+    default: false,
+  },
+  "source-path": {
+    describe: "Path to the add-on's source code, for reviewers of " +
+              "minified or transpiled code: a .zip, .tar.gz, .tgz or " +
+              ".tar.bz2 archive, or a directory to zip",
+    type: "string",
+  },
+  "metadata": {
+    describe: "Path to a JSON file with metadata to set on the version: " +
+              "releaseNotes, approvalNotes, license and compatibility. " +
+              "Requires --api-version v5",
+    type: "string",
+  },
+  "id": {
+    describe: "The add-on ID as recognized by AMO. " +
+              "Example: my-addon@jetpack",
+    defaultDescription: "read from the XPI manifest",
+    type: "string",
+  },
+  "version": {
+    describe: "The add-on version number for AMO",
+    defaultDescription: "read from the XPI manifest",
+    type: "string",
+  },
+  "require-newer-version": {
+    describe: "Refuse to upload a version that is not higher than the " +
+              "latest version of the add-on on AMO",
+    type: "boolean",
+    default: false,
+  },
+  "auto-version": {
+    describe: "When the version already exists on AMO, upload the XPI " +
+              "again with a new version: build appends .1, .2 and so " +
+              "on, timestamp appends the date and time",
+    choices: Object.keys(autoVersionStrategies),
+    type: "string",
+  },
+  "channel": {
+    describe: "The distribution channel. Listed versions are published " +
+              "on AMO once signed; unlisted versions are only signed.",
+    defaultDescription: "the channel of the previous version",
+    choices: channels,
+    type: "string",
+  },
+  "api-key": {
+    describe: "Your API key (JWT issuer) from AMO Devhub",
+    type: "string",
+  },
+  "api-secret": {
+    describe: "Your API secret (JWT secret) from AMO Devhub",
+    type: "string",
+  },
+  "verify-credentials": {
+    describe: "Check that the API credentials are accepted before " +
+              "uploading anything, and explain why when they are not",
+    type: "boolean",
+    default: false,
+  },
+  "api-url-prefix": {
+    describe: "Signing API URL prefix",
+    defaultDescription: "https://addons.mozilla.org/api/v3, or api/v5 " +
+                        "for version 5 of the API and for validate",
+    type: "string",
+  },
+  "api-version": {
+    describe: "The generation of Mozilla's web service API to use. " +
+              "Version 5 uploads the XPI, then creates a version from it, " +
+              "and requires --channel.",
+    defaultDescription: "read from --api-url-prefix, or v3",
+    choices: apiVersions,
+    type: "string",
+  },
+  "timeout": {
+    describe: "Number of milleseconds to wait before giving up on a " +
+              "response from Mozilla's web service",
+    type: "number",
+  },
+  "download-dir": {
+    describe: "Directory to save signed files in",
+    defaultDescription: "the current working directory",
+    type: "string",
+  },
+  "max-retries": {
+    describe: "Number of times to retry a request to Mozilla's web " +
+              "service after a network error or while it is unavailable",
+    defaultDescription: "3",
+    type: "number",
+  },
+  "retry-delay": {
+    describe: "Number of milleseconds to wait before the first retry; " +
+              "this doubles with each retry",
+    defaultDescription: "1 second",
+    type: "number",
+  },
+  "max-rate-limit-wait": {
+    describe: "Number of milleseconds to wait before retrying a rate " +
+              "limited request; fail if Mozilla's web service asks to " +
+              "wait longer",
+    defaultDescription: "1 minute",
+    type: "number",
+  },
+  "request-timeout": {
+    describe: "Number of milleseconds to wait for a response, or for " +
+              "more data of a response, before retrying a request",
+    defaultDescription: "2 minutes",
+    type: "number",
+  },
+  "state-dir": {
+    describe: "Directory to save the state of the submission in, so that " +
+              "an interrupted run is resumed instead of uploading again",
+    type: "string",
+  },
+  "wait-for-review": {
+    describe: "Keep checking the status of an add-on that is held for a " +
+              "manual review, and download its signed files once it " +
+              "has been reviewed",
+    type: "boolean",
+    default: false,
+  },
+  "review-timeout": {
+    describe: "Number of milleseconds to wait for a review with " +
+              "--wait-for-review before giving up; up to about 24 days",
+    defaultDescription: "7 days",
+    type: "number",
+  },
+  "fail-on-warnings": {
+    describe: "Fail when the validator reports any warnings, even if " +
+              "the add-on was signed",
+    type: "boolean",
+    default: false,
+  },
+  "max-warnings": {
+    describe: "Fail when the validator reports more than this number " +
+              "of warnings, even if the add-on was signed",
+    type: "number",
+  },
+  "verbose": {
+    describe: "Show verbose debugging output",
+    type: "boolean",
+    default: false,
+  },
+};
+
+
+/**
+ * Converts parsed command line arguments into `signAddon()` options.
+ */
+export function signingOptions(args) {
+  return {
+    xpiPath: args.xpi,
+    sourceDir: args.sourceDir,
+    ignoreFiles: args.ignoreFiles,
+    sourcePath: args.sourcePath,
+    metadata: args.metadata,
+    id: args.id,
+    version: args.version,
+    requireNewerVersion: args.requireNewerVersion,
+    autoVersion: args.autoVersion,
+    channel: args.channel,
+    apiKey: args.apiKey,
+    apiSecret: args.apiSecret,
+    verifyCredentials: args.verifyCredentials,
+    apiUrlPrefix: args.apiUrlPrefix,
+    apiVersion: args.apiVersion,
+    timeout: args.timeout,
+    downloadDir: args.downloadDir,
+    maxRetries: args.maxRetries,
+    retryDelay: args.retryDelay,
+    maxRateLimitWait: args.maxRateLimitWait,
+    requestTimeout: args.requestTimeout,
+    stateDir: args.stateDir,
+    waitForReview: args.waitForReview,
+    reviewTimeout: args.reviewTimeout,
+    failOnWarnings: args.failOnWarnings,
+    maxWarnings: args.maxWarnings,
+    verbose: args.verbose,
+  };
+}
+
+
+/**
+ * Run the sign-addon command line program.
+ *
+ * @param {Array} argv - command line arguments, without the node
+ *                       executable and script name.
+ * @param {Object} options
+ *   - `systemProcess`: object with an `exit()` method, like `process`.
+ *   - `logger`: object with `log()` and `error()` methods.
+ *   - `signAddonAndExit`: function to sign the add-on with.
+ *   - `resumeSigningAndExit`: function to resume signing with.
+ *   - `listVersionsAndExit`: function to list the versions of an add-on
+ *     with.
+ *   - `whoamiAndExit`: function to check the API credentials with.
+ *   - `listSourceFiles`: function to list the files of a source directory.
+ * @return {Promise}
+ */
+export function signAddonCli(
+    argv, {systemProcess=process, logger=console,
+           signAddonAndExit=defaultSignAddonAndExit,
+           resumeSigningAndExit=defaultResumeSigningAndExit,
+           listVersionsAndExit=defaultListVersionsAndExit,
+           whoamiAndExit=defaultWhoamiAndExit,
+           listSourceFiles=defaultListSourceFiles} = {}) {
+
+  var program = yargs(argv)
+    .usage("Usage: $0 [command] [options]\n\n" +
+           "Sign a Firefox add-on using Mozilla's web service.")
+    .command("sign", "Upload an add-on and download its signed files " +
+                     "(the default)")
+    .command("status", "Wait for a version that was already uploaded " +
+                       "and download its signed files; requires --id " +
+                       "and --version")
+    .command("versions", "List the versions of an add-on on AMO, listed " +
+                         "and unlisted; takes the add-on ID, or --id")
+    .command("whoami", "Check that the API credentials are accepted " +
+                       "and show the account they belong to")
+    .command("validate", "Upload an add-on to be validated, without " +
+                         "creating a version; uses version 5 of the API")
+    .options(cliOptions)
+    .example("$0 --xpi addon.xpi --id my-addon@jetpack --version 1.0.0 " +
+             "--api-key $AMO_JWT_ISSUER --api-secret $AMO_JWT_SECRET")
+    .example("$0 validate --xpi addon.xpi " +
+             "--api-key $AMO_JWT_ISSUER --api-secret $AMO_JWT_SECRET")
+    .example("$0 versions my-addon@jetpack " +
+             "--api-key $AMO_JWT_ISSUER --api-secret $AMO_JWT_SECRET")
+    .example("$0 whoami " +
+             "--api-key $AMO_JWT_ISSUER --api-secret $AMO_JWT_SECRET")
+    .example("$0 status --id my-addon@jetpack --version 1.0.0 " +
+             "--api-key $AMO_JWT_ISSUER --api-secret $AMO_JWT_SECRET")
+    .help("help")
+    .alias("h", "help")
+    .strict()
+    .exitProcess(false);
+
+  var args;
+  try {
+    args = program.argv;
+  } catch (error) {
+    // yargs has already shown the usage and the error message.
+    systemProcess.exit(1);
+    return when.resolve();
+  }
+
+  if (args.help) {
+    systemProcess.exit(0);
+    return when.resolve();
+  }
+
+  if (args.listFiles) {
+    return listFilesAndExit(args, {systemProcess, logger, listSourceFiles});
+  }
+
+  if (args._[0] === "status") {
+    return resumeSigningAndExit(signingOptions(args),
+                                {systemProcess, logger});
+  }
+
+  if (args._[0] === "versions") {
+    return listVersionsAndExit({
+      ...signingOptions(args),
+      id: args._[1] || args.id,
+    }, {systemProcess, logger});
+  }
+
+  if (args._[0] === "whoami") {
+    return whoamiAndExit(signingOptions(args), {systemProcess, logger});
+  }
+
+  if (args._[0] === "validate") {
+    return signAddonAndExit({...signingOptions(args), validateOnly: true},
+                            {systemProcess, logger});
+  }
+
+  return signAddonAndExit(signingOptions(args), {systemProcess, logger});
+}
+
+
+/**
+ * Print the files that would be packed from a source directory.
+ */
+function listFilesAndExit(args, {systemProcess, logger, listSourceFiles}) {
+  if (!args.sourceDir) {
+    logger.error("--list-files requires --source-dir");
+    systemProcess.exit(1);
+    return when.resolve();
+  }
+
+  return when(listSourceFiles(args.sourceDir,
+                              {ignoreFiles: args.ignoreFiles}))
+    .then((files) => {
+      files.forEach((file) => logger.log(file));
+      systemProcess.exit(0);
+    })
+    .catch((error) => {
+      logger.error(`error listing files in ${args.sourceDir}: ${error}`);
+      systemProcess.exit(1);
+    });
+}
@@ -0,0 +1,133 @@
+import ExtendableError from "es6-error";
+
+
+/**
+ * A required argument was empty.
+ *
+ * `argument` is the name of the argument.
+ */
+export class MissingArgumentError extends ExtendableError {
+  constructor(message, {argument=null} = {}) {
+    super(message);
+    this.argument = argument;
+  }
+}
+
+
+/**
+ * Arguments were given that cannot be used, such as options that
+ * conflict or an ID that does not match the XPI manifest.
+ */
+export class InvalidArgumentError extends ExtendableError {}
+
+
+/**
+ * The XPI could not be built, read or parsed.
+ */
+export class XpiFileError extends ExtendableError {}
+
+
+/**
+ * Checks of the XPI before uploading it found problems AMO would reject it
+ * for. These include XPIs that could not be read or parsed.
+ *
+ * `problems` is the list of messages describing them.
+ */
+export class PreflightError extends XpiFileError {
+  constructor(message, {problems=[]} = {}) {
+    super(message);
+    this.problems = problems;
+  }
+}
+
+
+/**
+ * The source code archive for reviewers could not be built, is missing,
+ * has an unsupported type or is too large.
+ */
+export class SourceFileError extends ExtendableError {}
+
+
+/**
+ * The API responded with an unexpected status.
+ *
+ * `status`, `headers` and `body` are those of the response.
+ */
+export class ServerError extends ExtendableError {
+  constructor(message, {status=null, headers={}, body=null} = {}) {
+    super(message);
+    this.status = status;
+    this.headers = headers;
+    this.body = body;
+  }
+}
+
+
+/**
+ * The API rejected the credentials, with a 401 or 403 status.
+ *
+ * `reason` is why they were rejected, when it is known:
+ * `clockSkew`, `expiredToken`, `unknownKey` or `badSignature`.
+ */
+export class AuthenticationError extends ServerError {
+  constructor(message, {reason=null, ...response} = {}) {
+    super(message, response);
+    this.reason = reason;
+  }
+}
+
+
+/**
+ * The API refused a request because too many were made.
+ *
+ * `retryAfter` is the number of milliseconds the server asked to wait
+ * before trying again, or null if it did not say.
+ */
+export class RateLimitError extends ServerError {
+  constructor(message, {retryAfter=null, ...response} = {}) {
+    super(message, {status: 429, ...response});
+    this.retryAfter = retryAfter;
+  }
+}
+
+
+/**
+ * Checking the status of an uploaded add-on failed too many times in a row.
+ *
+ * `cause` is the error of the last check and `lastStatus` the last status
+ * that was received, or null if there was none.
+ */
+export class StatusCheckError extends ExtendableError {
+  constructor(message, {cause=null, lastStatus=null} = {}) {
+    super(message);
+    this.cause = cause;
+    this.lastStatus = lastStatus;
+  }
+}
+
+
+/**
+ * The add-on was not processed before the status check timeout.
+ *
+ * `lastStatus` is the last status that was received, or null if there
+ * was none.
+ */
+export class ValidationTimeoutError extends ExtendableError {
+  constructor(message, {lastStatus=null} = {}) {
+    super(message);
+    this.lastStatus = lastStatus;
+  }
+}
+
+
+/**
+ * The add-on was held for a manual review and not reviewed before the
+ * review timeout.
+ */
+export class ReviewTimeoutError extends ValidationTimeoutError {}
+
+
+/**
+ * The add-on was processed but none of its files were signed.
+ */
+export class NoSignedFilesError extends ExtendableError {}
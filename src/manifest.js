@@ -0,0 +1,201 @@
+import {XpiFileError} from "./errors";
+import {readXpiFiles, rewriteXpi} from "./xpi";
+
+
+/**
+ * Manifest files that can declare an add-on ID and version, in the order
+ * Firefox gives them precedence.
+ */
+const manifestParsers = {
+  "install.rdf": parseInstallRdf,
+  "manifest.json": parseWebExtensionManifest,
+  "package.json": parseJetpackManifest,
+};
+
+
+/**
+ * Functions returning the contents of a manifest file with a new version,
+ * by file name.
+ */
+const manifestVersionSetters = {
+  "install.rdf": setInstallRdfVersion,
+  "manifest.json": setJsonManifestVersion,
+  "package.json": setJsonManifestVersion,
+};
+
+
+/**
+ * Read the add-on ID and version declared by the manifest of an XPI file.
+ *
+ * @param {String} xpiPath - path to the XPI file.
+ * @return {Promise} resolved with an object containing:
+ *   - `manifestFile`: name of the manifest that was read, or null if
+ *     the XPI does not contain a manifest.
+ *   - `id`: the declared add-on ID, if any.
+ *   - `version`: the declared add-on version, if any.
+ */
+export function getManifestInfo(xpiPath) {
+  var manifestFiles = Object.keys(manifestParsers);
+
+  return readXpiFiles(xpiPath, manifestFiles).catch((error) => {
+    throw new XpiFileError(`could not read ${xpiPath}: ${error}`);
+  }).then((files) => {
+    for (var i = 0; i < manifestFiles.length; i++) {
+      var manifestFile = manifestFiles[i];
+      if (files[manifestFile]) {
+        var parse = manifestParsers[manifestFile];
+        try {
+          return {
+            manifestFile,
+            ...parse(files[manifestFile].toString("utf8")),
+          };
+        } catch (error) {
+          throw new XpiFileError(
+            `could not parse ${manifestFile} in ${xpiPath}: ${error}`);
+        }
+      }
+    }
+    return {manifestFile: null};
+  });
+}
+
+
+/**
+ * Copy an XPI with a new version in its manifest.
+ *
+ * @param {Object} conf
+ *   - `xpiPath`: path to the XPI file.
+ *   - `version`: the version to declare.
+ *   - `outputPath`: path of the XPI file to create.
+ * @return {Promise} resolved with `outputPath` once the file is written.
+ */
+export function setManifestVersion({xpiPath, version, outputPath}) {
+  return getManifestInfo(xpiPath).then(({manifestFile}) => {
+    if (!manifestFile) {
+      throw new XpiFileError(
+        `could not set the version of ${xpiPath}: it has no manifest`);
+    }
+    return readXpiFiles(xpiPath, [manifestFile]).then((files) => {
+      var setVersion = manifestVersionSetters[manifestFile];
+      return rewriteXpi({
+        xpiPath,
+        outputPath,
+        files: {
+          [manifestFile]: setVersion(files[manifestFile].toString("utf8"),
+                                     version),
+        },
+      });
+    });
+  }).catch((error) => {
+    if (error instanceof XpiFileError) {
+      throw error;
+    }
+    throw new XpiFileError(
+      `could not set the version of ${xpiPath}: ${error}`);
+  });
+}
+
+
+/**
+ * Returns the ID and version from the contents of an install.rdf file.
+ */
+export function parseInstallRdf(content) {
+  // Target applications declare their own em:id; only the add-on's
+  // values are wanted here.
+  var rdf = content.replace(
+    /<em:targetApplication>[\s\S]*?<\/em:targetApplication>/g, "");
+
+  function getValue(name) {
+    var element = rdf.match(
+      new RegExp(`<em:${name}>\\s*([^<]*?)\\s*</em:${name}>`));
+    if (element) {
+      return element[1];
+    }
+    var attribute = rdf.match(new RegExp(`em:${name}="([^"]*)"`));
+    if (attribute) {
+      return attribute[1];
+    }
+    return undefined;
+  }
+
+  return {
+    id: getValue("id"),
+    version: getValue("version"),
+  };
+}
+
+
+/**
+ * Returns the ID and version from the contents of a WebExtension
+ * manifest.json file.
+ */
+export function parseWebExtensionManifest(content) {
+  var manifest = JSON.parse(content);
+  var gecko = (manifest.applications || {}).gecko || {};
+  return {
+    id: gecko.id,
+    version: manifest.version,
+  };
+}
+
+
+/**
+ * Returns the ID and version from the contents of an SDK (Jetpack)
+ * package.json file.
+ */
+export function parseJetpackManifest(content) {
+  var manifest = JSON.parse(content);
+  var id = manifest.id;
+  if (!id && manifest.name) {
+    // This is how jpm derives an ID when none was declared.
+    id = "@" + manifest.name;
+  }
+  return {
+    id: id,
+    version: manifest.version,
+  };
+}
+
+
+/**
+ * Returns the contents of an install.rdf file with a new add-on version.
+ *
+ * Versions declared by target applications are left alone.
+ */
+export function setInstallRdfVersion(content, version) {
+  var replaced = false;
+  // Split the target applications out, keeping them in the parts.
+  return content.split(
+    /(<em:targetApplication>[\s\S]*?<\/em:targetApplication>)/)
+    .map((part, i) => {
+      // Odd parts are the target applications.
+      if (replaced || i % 2) {
+        return part;
+      }
+      return part
+        .replace(/(<em:version>\s*)[^<]*?(\s*<\/em:version>)/,
+                 (match, start, end) => {
+                   replaced = true;
+                   return start + version + end;
+                 })
+        .replace(/(em:version=")[^"]*(")/, (match, start, end) => {
+          if (replaced) {
+            return match;
+          }
+          replaced = true;
+          return start + version + end;
+        });
+    })
+    .join("");
+}
+
+
+/**
+ * Returns the contents of a manifest.json or package.json file with a new
+ * version.
+ */
+export function setJsonManifestVersion(content, version) {
+  var manifest = JSON.parse(content);
+  manifest.version = version;
+  return JSON.stringify(manifest, null, 2) + "\n";
+}
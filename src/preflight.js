@@ -0,0 +1,113 @@
+import defaultFs from "mz/fs";
+import when from "when";
+
+import {PreflightError, XpiFileError} from "./errors";
+import {getManifestInfo as defaultGetManifestInfo} from "./manifest";
+import {isValidVersion} from "./version";
+
+// AMO refuses larger uploads.
+export const defaultMaxXpiSize = 200 * 1024 * 1024;  // 200 MB.
+
+// Add-on IDs Firefox accepts: a GUID in braces or an email-style ID,
+// whose part before the @ may be empty.
+const addonIdPattern = new RegExp(
+  "^(\\{[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\\}" +
+  "|[a-z0-9-._]*@[a-z0-9-._]+)$", "i");
+
+
+/**
+ * Check an XPI for problems that AMO would reject it for, without
+ * uploading it.
+ *
+ * All the checks are run and their problems reported together, so they
+ * can be fixed before the upload uses up a round trip and the version
+ * number.
+ *
+ * @param {Object} conf
+ *   - `xpiPath`: path to the XPI file.
+ *   - `id`: add-on ID to check, if not the one of the manifest.
+ *   - `version`: version to check, if not the one of the manifest.
+ *   - `maxSize`: number of bytes the XPI may take up.
+ * @return {Promise} resolved with the manifest information, as returned by
+ *   `getManifestInfo()`. It is rejected with a `PreflightError` listing
+ *   the problems that were found.
+ */
+export function checkXpi(
+    {xpiPath, id=null, version=null, maxSize=defaultMaxXpiSize},
+    {fs=defaultFs, getManifestInfo=defaultGetManifestInfo} = {}) {
+  var manifest = null;
+  var checks = [
+    getManifestInfo(xpiPath).then((manifestInfo) => {
+      manifest = manifestInfo;
+      return getManifestProblems(manifest, {id, version});
+    }, (error) => {
+      if (!(error instanceof XpiFileError)) {
+        throw error;
+      }
+      return [
+        `${error.message}; the XPI must be a zip file with the manifest ` +
+        "at its root",
+      ];
+    }),
+    fs.stat(xpiPath).then((stats) => {
+      if (stats.size <= maxSize) {
+        return [];
+      }
+      return [
+        `the XPI is too large: ${stats.size} bytes, the limit is ` +
+        `${maxSize}; leave out files the add-on does not need, for ` +
+        "example with an .amoignore file",
+      ];
+    }),
+  ];
+
+  return when.all(checks).then((results) => {
+    var problems = [].concat(...results);
+    if (problems.length) {
+      throw new PreflightError(
+        `${xpiPath} failed the checks before uploading:\n` +
+        problems.map((problem) => `  - ${problem}`).join("\n"),
+        {problems});
+    }
+    return manifest;
+  });
+}
+
+
+/**
+ * Returns the problems with the manifest of an XPI, and with the ID and
+ * version given instead of those of the manifest.
+ */
+function getManifestProblems(manifest, {id, version}) {
+  var problems = [];
+  if (!manifest.manifestFile) {
+    problems.push(
+      "the XPI has no manifest.json, install.rdf or package.json at its " +
+      "root; zip the contents of the add-on directory, not the " +
+      "directory itself");
+  }
+  var addonId = id || manifest.id;
+  if (addonId && !isValidAddonId(addonId)) {
+    problems.push(
+      `the add-on ID "${addonId}" is not valid; use a GUID such as ` +
+      "{8d6c6a27-1c1d-4a2c-8f56-1b3e8a3e1f6b} or an email-style ID " +
+      "such as my-addon@example.com");
+  }
+  var addonVersion = version || manifest.version;
+  if (addonVersion && !isValidVersion(addonVersion)) {
+    problems.push(
+      `the version "${addonVersion}" is not a valid Mozilla version; ` +
+      "use numbers separated by dots, such as 1.2.3, optionally with " +
+      "a suffix such as 1.0b2");
+  }
+  return problems;
+}
+
+
+/**
+ * Returns true if an add-on ID is a GUID or an email-style ID.
+ */
+export function isValidAddonId(id) {
+  return addonIdPattern.test(id);
+}
+
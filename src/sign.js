@@ -0,0 +1,783 @@
+import fs from "mz/fs";
+import os from "os";
+import path from "path";
+import when from "when";
+
+import {
+  Client as DefaultAMOClient,
+  apiVersions,
+  channels,
+  getApiVersion,
+  versionMetadataFields,
+} from "./amo-client";
+import {
+  InvalidArgumentError,
+  MissingArgumentError,
+  SourceFileError,
+  XpiFileError,
+} from "./errors";
+import {setManifestVersion} from "./manifest";
+import {checkXpi, defaultMaxXpiSize} from "./preflight";
+import {signingStatus} from "./status";
+import {
+  applyWarningsPolicy,
+  countValidationMessages,
+  formatValidationMessages,
+} from "./validation";
+import {
+  autoVersionStrategies,
+  compareVersions,
+  getHighestVersion,
+  isValidVersion,
+} from "./version";
+import {buildSourceArchive, buildXpi} from "./xpi";
+
+// Signing API URL prefixes, by API version.
+const defaultApiUrlPrefixes = {
+  v3: "https://addons.mozilla.org/api/v3",
+  v5: "https://addons.mozilla.org/api/v5",
+};
+const defaultMaxSourceSize = 200 * 1024 * 1024;  // 200 MB.
+// The longest delay setTimeout() accepts, about 24.8 days. Longer delays
+// overflow and fire right away.
+const maxTimerDelay = 2147483647;
+// Number of new versions autoVersion tries when they already exist too.
+const maxAutoVersionAttempts = 5;
+// File name extensions of the source code archives AMO accepts.
+const sourceArchiveExtensions = [".zip", ".tar.gz", ".tgz", ".tar.bz2"];
+
+
+export default function signAddon(
+  {
+    // Absolute path to add-on XPI file.
+    xpiPath,
+    // Absolute path to an add-on source directory. This can be used
+    // instead of xpiPath to sign an XPI built from the directory.
+    sourceDir,
+    // The add-on ID as recognized by AMO. Example: my-addon@jetpack
+    // This is read from the XPI manifest when not specified.
+    id,
+    // The add-on version number for AMO.
+    // This is read from the XPI manifest when not specified.
+    version,
+    // The distribution channel, "listed" or "unlisted". Listed versions
+    // are published on AMO once signed. When not specified, AMO uses the
+    // channel of the previous version.
+    channel=undefined,
+    // Your API key (JWT issuer) from AMO Devhub.
+    apiKey,
+    // Your API secret (JWT secret) from AMO Devhub.
+    apiSecret,
+    // Optional arguments:
+    // Signing API URL prefix. The default depends on apiVersion.
+    apiUrlPrefix=undefined,
+    // The generation of the API, "v3" or "v5". This is read from
+    // apiUrlPrefix when not specified. Version 5 requires a channel.
+    apiVersion=undefined,
+    // Only validate the XPI, without creating a version. This uses
+    // version 5 of the API unless apiUrlPrefix or apiVersion say
+    // otherwise.
+    validateOnly=false,
+    verbose=false,
+    // Number of milleseconds to wait before giving up on a
+    // response from Mozilla's web service.
+    timeout=undefined,
+    // Number of status checks in a row that may fail before giving up
+    // on the uploaded add-on.
+    maxStatusCheckFailures=undefined,
+    // Absolute directory to save downloaded files in.
+    downloadDir=undefined,
+    // Number of times to retry a request to Mozilla's web service after
+    // a network error or while the service is unavailable.
+    maxRetries=undefined,
+    // Number of milliseconds to wait before the first retry. This doubles
+    // with each retry.
+    retryDelay=undefined,
+    // Number of milliseconds a rate limited request may wait before it's
+    // retried. Signing fails with a RateLimitError when the service asks
+    // to wait longer.
+    maxRateLimitWait=undefined,
+    // Number of milliseconds to wait for a response, or for more data of
+    // a response, before retrying a request.
+    requestTimeout=undefined,
+    // Directory to save the state of the submission in. When signing is
+    // interrupted, the next run with the same XPI resumes the submission
+    // instead of uploading it again.
+    stateDir=undefined,
+    // Keep checking the status of an add-on that is held for a manual
+    // review until it has been reviewed, and download its signed files
+    // then.
+    waitForReview=false,
+    // Number of milliseconds to wait for a review before giving up.
+    reviewTimeout=undefined,
+    // Refuse to upload a version that is not higher than the latest
+    // version of the add-on on AMO, listed or unlisted.
+    requireNewerVersion=false,
+    // When the version already exists on AMO, upload the XPI again with a
+    // new version written in its manifest. This is "build", to append
+    // .1, .2 and so on, "timestamp", to append the date and time, or a
+    // function called with the version and {attempt, now} that returns
+    // the new version. The version used is in result.version.
+    autoVersion=null,
+    // Number of bytes the XPI may take up. Larger XPIs fail the checks
+    // made before uploading.
+    maxXpiSize=defaultMaxXpiSize,
+    // Path to the source code of the add-on, for reviewers of minified or
+    // transpiled code: a .zip, .tar.gz, .tgz or .tar.bz2 archive, or a
+    // directory to zip.
+    sourcePath=undefined,
+    // Number of bytes the source code archive may take up.
+    maxSourceSize=defaultMaxSourceSize,
+    // Metadata to send when the version is created, or the path of a JSON
+    // file with it. See Client.createVersion() for the properties:
+    // releaseNotes, approvalNotes, license, compatibility. This requires
+    // version 5 of the API.
+    metadata=undefined,
+    // Patterns, in gitignore syntax, of files to leave out of an XPI
+    // built from sourceDir. This adds to the patterns of any .amoignore
+    // file at the top of sourceDir.
+    ignoreFiles=[],
+    // Fail when the validator reports any warnings, even if the add-on
+    // was signed.
+    failOnWarnings=false,
+    // Fail when the validator reports more than this number of warnings,
+    // even if the add-on was signed.
+    maxWarnings=null,
+    // Check that the API credentials are accepted before uploading
+    // anything, to explain why when they are not.
+    verifyCredentials=false,
+    AMOClient=DefaultAMOClient,
+  }) {
+
+  var client = null;
+  var builtXpiPath = null;
+  var builtSourcePath = null;
+  // XPIs rewritten with new versions by autoVersion.
+  var versionedXpiPaths = [];
+
+  return when.promise(
+    (resolve) => {
+      if (!xpiPath && !sourceDir) {
+        reportEmpty("xpiPath");
+      }
+      if (xpiPath && sourceDir) {
+        throw new InvalidArgumentError(
+          "xpiPath and sourceDir cannot be used together");
+      }
+      checkChannel(channel);
+      checkReviewTimeout(reviewTimeout);
+      checkAutoVersion(autoVersion);
+      if (validateOnly && !apiVersion && !apiUrlPrefix) {
+        apiVersion = "v5";
+      }
+      apiUrlPrefix = checkApiOptions(
+        {apiKey, apiSecret, apiUrlPrefix, apiVersion});
+      checkMetadataApiVersion(metadata,
+                              apiVersion || getApiVersion(apiUrlPrefix));
+
+      resolve();
+    })
+    .then(() => {
+      if (sourceDir) {
+        builtXpiPath = getBuildPath(sourceDir, ".xpi");
+        return buildXpi({sourceDir, xpiPath: builtXpiPath, ignoreFiles})
+          .catch((buildError) => {
+            throw new XpiFileError(
+              `error building an XPI from ${sourceDir}: ${buildError}`);
+          })
+          .then(() => {
+            xpiPath = builtXpiPath;
+          });
+      }
+    })
+    .then(() => fs.stat(xpiPath).catch((statError) => {
+      throw new XpiFileError(`error with ${xpiPath}: ${statError}`);
+    }))
+    .then((stats) => {
+      if (!stats.isFile) {
+        throw new XpiFileError(`not a file: ${xpiPath}`);
+      }
+    })
+    .then(() => checkXpi({xpiPath, id, version, maxSize: maxXpiSize}))
+    .then((manifest) => {
+      if (validateOnly) {
+        // No ID or version is needed without a version to create.
+        return;
+      }
+      id = getManifestValue("id", id, manifest);
+      version = getManifestValue("version", version, manifest);
+    })
+    .then(() => {
+      if (!sourcePath || validateOnly) {
+        return;
+      }
+      return fs.stat(sourcePath).catch((statError) => {
+        throw new SourceFileError(
+          `error with the source code at ${sourcePath}: ${statError}`);
+      }).then((stats) => {
+        if (stats.isDirectory()) {
+          builtSourcePath = getBuildPath(sourcePath, "-source.zip");
+          return buildSourceArchive({
+            sourceDir: sourcePath,
+            archivePath: builtSourcePath,
+          }).catch((buildError) => {
+            throw new SourceFileError(
+              "error building a source code archive from " +
+              `${sourcePath}: ${buildError}`);
+          }).then(() => {
+            sourcePath = builtSourcePath;
+            return fs.stat(sourcePath);
+          });
+        }
+        var name = path.basename(sourcePath).toLowerCase();
+        if (!sourceArchiveExtensions.some(
+              (extension) => name.slice(-extension.length) === extension)) {
+          throw new SourceFileError(
+            `unsupported source code archive: ${sourcePath}; expected ` +
+            `a directory or one of: ${sourceArchiveExtensions.join(", ")}`);
+        }
+        return stats;
+      }).then((stats) => {
+        if (stats.size > maxSourceSize) {
+          throw new SourceFileError(
+            `the source code archive ${sourcePath} is too large: ` +
+            `${stats.size} bytes, the limit is ${maxSourceSize}`);
+        }
+      });
+    })
+    .then(() => readMetadata(metadata))
+    .then((versionMetadata) => {
+      metadata = versionMetadata;
+    })
+    .then(() => {
+      client = createClient({
+        apiKey,
+        apiSecret,
+        apiUrlPrefix,
+        apiVersion,
+        downloadDir,
+        verbose,
+        timeout,
+        maxStatusCheckFailures,
+        maxRetries,
+        retryDelay,
+        maxRateLimitWait,
+        requestTimeout,
+        stateDir,
+        waitForReview,
+        reviewTimeout,
+        AMOClient,
+      });
+
+      if (verifyCredentials) {
+        return client.verifyCredentials().then((account) => {
+          client.logger.log(`Signing as ${account.username}`);
+        });
+      }
+    })
+    .then(() => {
+      if (validateOnly) {
+        return client.validate({xpiPath, channel});
+      }
+
+      var originalXpiPath = xpiPath;
+      var originalVersion = version;
+      var submit = (attempt) => client.sign({
+        xpiPath: xpiPath,
+        guid: id,
+        version: version,
+        channel: channel,
+        sourcePath: sourcePath,
+        metadata: metadata,
+      }).then((result) => {
+        if (!autoVersion || !result.versionExists ||
+            attempt > maxAutoVersionAttempts) {
+          return {...result, version};
+        }
+        var newVersion = getAutoVersion(autoVersion, originalVersion,
+                                        {attempt, now: Date.now});
+        var versionedXpiPath = getBuildPath(originalXpiPath,
+                                            `-${newVersion}.xpi`);
+        versionedXpiPaths.push(versionedXpiPath);
+        client.logger.log(`Version ${version} already exists; ` +
+                          `uploading it as version ${newVersion}`);
+        return setManifestVersion({
+          xpiPath: originalXpiPath,
+          version: newVersion,
+          outputPath: versionedXpiPath,
+        }).then(() => {
+          xpiPath = versionedXpiPath;
+          version = newVersion;
+          return submit(attempt + 1);
+        });
+      });
+
+      // Re-running a release is safe: a version already signed from this
+      // XPI is downloaded rather than uploaded again.
+      return client.downloadIfSigned({guid: id, version, xpiPath, channel})
+        .then((existing) => {
+          if (existing) {
+            return {...existing, version};
+          }
+          return when(requireNewerVersion &&
+                      checkNewerVersion(client, {id, version}))
+            .then(() => submit(1));
+        });
+    })
+    .then((result) => {
+      return applyWarningsPolicy(result, {failOnWarnings, maxWarnings});
+    })
+    .finally(() => {
+      var builtPaths = [builtXpiPath, builtSourcePath, ...versionedXpiPaths];
+      return when.all(builtPaths.map((builtPath) => {
+        if (builtPath) {
+          return fs.unlink(builtPath).catch(() => {
+            // The file may not have been written at all.
+          });
+        }
+      }));
+    });
+}
+
+
+/**
+ * Resume waiting on a version that was already submitted for signing, then
+ * download its signed files like `signAddon()` does.
+ *
+ * This takes the same options as `signAddon()`, except that the ID and
+ * version are required and there is no XPI to upload.
+ */
+export function resumeSigning(options) {
+  var {id, version, channel, reviewTimeout,
+       failOnWarnings=false, maxWarnings=null} = options;
+
+  return when.promise(
+    (resolve) => {
+      if (!id) {
+        reportEmpty("id");
+      }
+      if (!version) {
+        reportEmpty("version");
+      }
+      checkChannel(channel);
+      checkReviewTimeout(reviewTimeout);
+
+      resolve(createApiClient(options));
+    })
+    .then((client) => client.resume({guid: id, version, channel}))
+    .then((result) => {
+      return applyWarningsPolicy(result, {failOnWarnings, maxWarnings});
+    });
+}
+
+
+/**
+ * List the versions of an add-on on AMO, listed and unlisted.
+ *
+ * This takes the API options of `signAddon()`. The ID is required.
+ *
+ * @return {Promise} resolved with the versions, as returned by
+ *   `Client.listVersions()`.
+ */
+export function listAddonVersions(options) {
+  return when.promise(
+    (resolve) => {
+      if (!options.id) {
+        reportEmpty("id");
+      }
+
+      resolve(createApiClient(options));
+    })
+    .then((client) => client.listVersions(options.id));
+}
+
+
+/**
+ * Check that API credentials are accepted by AMO.
+ *
+ * This takes the API options of `signAddon()`.
+ *
+ * @return {Promise} resolved with the account the credentials belong to,
+ *   as returned by `Client.verifyCredentials()`.
+ */
+export function whoami(options) {
+  return when.try(() => createApiClient(options))
+    .then((client) => client.verifyCredentials());
+}
+
+
+/**
+ * Throws an error for an empty required argument.
+ */
+function reportEmpty(name) {
+  throw new MissingArgumentError(
+    `required argument was empty: ${name}`, {argument: name});
+}
+
+
+/**
+ * Throws an error for an unknown distribution channel.
+ */
+function checkChannel(channel) {
+  if (channel && channels.indexOf(channel) === -1) {
+    throw new InvalidArgumentError(
+      `unknown channel "${channel}"; expected one of: ` +
+      channels.join(", "));
+  }
+}
+
+
+/**
+ * Throws an `InvalidArgumentError` for a review timeout longer than a
+ * timer can wait.
+ */
+function checkReviewTimeout(reviewTimeout) {
+  if (reviewTimeout > maxTimerDelay) {
+    throw new InvalidArgumentError(
+      `reviewTimeout ${reviewTimeout} is too long; it can be up to ` +
+      `${maxTimerDelay} milliseconds, about 24 days`);
+  }
+}
+
+
+/**
+ * Throws an error for an unknown API version.
+ */
+function checkApiVersion(apiVersion) {
+  if (apiVersion && apiVersions.indexOf(apiVersion) === -1) {
+    throw new InvalidArgumentError(
+      `unknown API version "${apiVersion}"; expected one of: ` +
+      apiVersions.join(", "));
+  }
+}
+
+
+/**
+ * Throws an `InvalidArgumentError` for version metadata with an API that
+ * can't set it: version 3 can't change a version once it's uploaded.
+ */
+function checkMetadataApiVersion(metadata, apiVersion) {
+  if (metadata && apiVersion !== "v5") {
+    throw new InvalidArgumentError(
+      "metadata can only be set with version 5 of the API; use " +
+      `apiVersion "v5" instead of ${apiVersion}`);
+  }
+}
+
+
+/**
+ * Throws an `InvalidArgumentError` for an unknown autoVersion strategy.
+ */
+function checkAutoVersion(autoVersion) {
+  if (autoVersion && typeof autoVersion !== "function" &&
+      !autoVersionStrategies.hasOwnProperty(autoVersion)) {
+    throw new InvalidArgumentError(
+      `unknown autoVersion strategy "${autoVersion}"; expected a ` +
+      "function or one of: " + Object.keys(autoVersionStrategies).join(", "));
+  }
+}
+
+
+/**
+ * Returns the version to upload instead of one that already exists on AMO.
+ *
+ * @param {String|Function} autoVersion - a strategy of
+ *   `autoVersionStrategies`, or a function like them.
+ * @param {String} version - the version that was declared.
+ * @param {Object} options - passed to the strategy.
+ * @return {String}
+ */
+function getAutoVersion(autoVersion, version, options) {
+  var strategy = typeof autoVersion === "function" ? autoVersion :
+                 autoVersionStrategies[autoVersion];
+  var newVersion = strategy(version, options);
+  if (typeof newVersion !== "string" || !isValidVersion(newVersion)) {
+    throw new InvalidArgumentError(
+      `autoVersion returned an invalid version: ${newVersion}`);
+  }
+  return newVersion;
+}
+
+
+/**
+ * Returns a promise rejected with an `InvalidArgumentError` when a version
+ * is not higher than the latest version of the add-on on AMO.
+ */
+function checkNewerVersion(client, {id, version}) {
+  return client.listVersions(id).then((versions) => {
+    var latest = getHighestVersion(versions.map((found) => found.version));
+    if (latest !== null && compareVersions(version, latest) <= 0) {
+      throw new InvalidArgumentError(
+        `version ${version} is not higher than ${latest}, the latest ` +
+        `version of ${id} on AMO; bump the version in the manifest`);
+    }
+  });
+}
+
+
+/**
+ * Returns the API URL prefix to use, which defaults to that of AMO for the
+ * API version.
+ */
+function getApiUrlPrefix(apiUrlPrefix, apiVersion) {
+  return apiUrlPrefix || defaultApiUrlPrefixes[apiVersion || "v3"];
+}
+
+
+/**
+ * Returns a promise for the version metadata given to `signAddon()`,
+ * reading it from a JSON file when it's a path.
+ *
+ * The promise is rejected with an `InvalidArgumentError` for unreadable
+ * files and unknown properties.
+ */
+function readMetadata(metadata) {
+  if (!metadata) {
+    return when.resolve(null);
+  }
+  var reading = when.resolve(metadata);
+  if (typeof metadata === "string") {
+    reading = fs.readFile(metadata, "utf8")
+      .then((content) => JSON.parse(content))
+      .catch((error) => {
+        throw new InvalidArgumentError(
+          `error reading the metadata file ${metadata}: ${error}`);
+      });
+  }
+  return reading.then((data) => {
+    var unknownNames = Object.keys(data || {}).filter(
+      (name) => !(name in versionMetadataFields));
+    if (typeof data !== "object" || !data || Array.isArray(data) ||
+        unknownNames.length) {
+      throw new InvalidArgumentError(
+        "metadata must be an object with any of these properties: " +
+        Object.keys(versionMetadataFields).join(", ") +
+        (unknownNames.length ? `; unknown: ${unknownNames.join(", ")}` : ""));
+    }
+    return data;
+  });
+}
+
+
+/**
+ * Throws an error for missing API credentials or an unknown API version.
+ *
+ * @return {String} the API URL prefix to use.
+ */
+function checkApiOptions({apiKey, apiSecret, apiUrlPrefix, apiVersion}) {
+  checkApiVersion(apiVersion);
+  if (!apiSecret) {
+    reportEmpty("apiSecret");
+  }
+  if (!apiKey) {
+    reportEmpty("apiKey");
+  }
+  return getApiUrlPrefix(apiUrlPrefix, apiVersion);
+}
+
+
+/**
+ * Returns a client configured with the options of `signAddon()`, once
+ * its API options are checked like `checkApiOptions()` does.
+ */
+function createApiClient(options) {
+  return createClient({...options, apiUrlPrefix: checkApiOptions(options)});
+}
+
+
+/**
+ * Returns a client for Mozilla's web service, configured with the
+ * options of `signAddon()`.
+ */
+function createClient({apiKey, apiSecret, apiUrlPrefix, apiVersion,
+                       downloadDir,
+                       verbose=false, timeout, maxStatusCheckFailures,
+                       maxRetries, retryDelay, maxRateLimitWait,
+                       requestTimeout,
+                       stateDir, waitForReview, reviewTimeout,
+                       AMOClient=DefaultAMOClient}) {
+  return new AMOClient({
+    apiKey,
+    apiSecret,
+    apiUrlPrefix,
+    apiVersion,
+    downloadDir,
+    debugLogging: verbose,
+    signedStatusCheckTimeout: timeout,
+    maxStatusCheckFailures,
+    maxRetries,
+    retryDelay,
+    maxRateLimitWait,
+    requestTimeout,
+    stateDir,
+    waitForReview,
+    reviewTimeout,
+  });
+}
+
+
+/**
+ * Returns a temporary path for a file built from a source directory, or
+ * from an XPI.
+ */
+function getBuildPath(buildFrom, suffix) {
+  var name = path.basename(path.resolve(buildFrom));
+  return path.join(os.tmpdir(), `sign-addon-${name}-${Date.now()}${suffix}`);
+}
+
+
+/**
+ * Returns an argument value that agrees with the XPI manifest.
+ *
+ * The value declared in the manifest is used when the argument is
+ * empty; an error is thrown when they are both set but differ.
+ */
+function getManifestValue(name, value, manifest) {
+  var declaredValue = manifest[name];
+  if (!value) {
+    if (!declaredValue) {
+      throw new MissingArgumentError(
+        `required argument was empty: ${name}; ` +
+        "it could not be read from the XPI manifest either",
+        {argument: name});
+    }
+    return declaredValue;
+  }
+  if (declaredValue && declaredValue !== value) {
+    throw new InvalidArgumentError(
+      `${name} "${value}" does not match the ${name} ` +
+      `"${declaredValue}" declared in ${manifest.manifestFile}`);
+  }
+  return value;
+}
+
+
+export function signAddonAndExit(options, exitOptions) {
+  return reportResultAndExit(signAddon(options), exitOptions);
+}
+
+
+/**
+ * Resume signing like `resumeSigning()`, then report the result and exit
+ * like `signAddonAndExit()`.
+ */
+export function resumeSigningAndExit(options, exitOptions) {
+  return reportResultAndExit(resumeSigning(options), exitOptions);
+}
+
+
+/**
+ * Print the versions of an add-on like `listAddonVersions()` lists them,
+ * one per line, then exit.
+ */
+export function listVersionsAndExit(options, exitOptions) {
+  return runAndExit(listAddonVersions(options), (versions, logger) => {
+    if (!versions.length) {
+      logger.log(`No versions of ${options.id} were found`);
+    }
+    versions.forEach((found) => {
+      logger.log([
+        found.version,
+        found.channel || "-",
+        found.signed ? "signed" : "not signed",
+      ].join("\t"));
+    });
+    return 0;
+  }, exitOptions);
+}
+
+
+/**
+ * Print the account API credentials belong to, like `whoami()` checks
+ * them, then exit.
+ */
+export function whoamiAndExit(options, exitOptions) {
+  return runAndExit(whoami(options), (account, logger) => {
+    var name = account.name ? ` (${account.name})` : "";
+    logger.log(`${account.username}${name}`);
+    return 0;
+  }, exitOptions);
+}
+
+
+/**
+ * Log a signing result and exit with its exit code.
+ */
+function reportResultAndExit(signing, exitOptions) {
+  return runAndExit(signing, (result, logger) => {
+    if (result.validation && countValidationMessages(result.validation)) {
+      logger.log("Validation messages:");
+      logger.log(formatValidationMessages(result.validation));
+    }
+    if (result.warningsUnchecked) {
+      logger.log("Warnings were not checked: the validation results " +
+                 "of a resumed version are not available");
+    }
+    if (result.offendingWarnings) {
+      logger.log(result.validation ?
+        "Failing because of validation warnings: " +
+          result.offendingWarnings.length :
+        "Failing because validation results were not available " +
+          "to check for warnings");
+    }
+    logger.log(result.success ? "SUCCESS" : "FAIL");
+    return getExitCode(result);
+  }, exitOptions);
+}
+
+
+/**
+ * Wait for a command, report its result and exit.
+ *
+ * @param {Promise} running - the promise of the command.
+ * @param {Function} report - called with the result of the command and
+ *   the logger; returns the exit code.
+ * @param {Object} options
+ *   - `systemProcess`: process to exit.
+ *   - `throwError`: rethrow errors instead of exiting with `1`.
+ *   - `logger`: where to report to, like `console`.
+ * @return {Promise}
+ */
+function runAndExit(
+    running, report,
+    {systemProcess=process, throwError=false, logger=console} = {}) {
+  return running
+    .then((result) => {
+      systemProcess.exit(report(result, logger));
+    })
+    .catch((err) => {
+      logger.error("FAIL");
+      if (throwError) {
+        throw err;
+      }
+      logger.error(err.stack);
+      systemProcess.exit(1);
+    });
+}
+
+
+/**
+ * Exit codes of `signAddonAndExit()` and `resumeSigningAndExit()`,
+ * by signing status.
+ *
+ * Errors, and failures without a known status, exit with `1`.
+ */
+export const exitCodes = {
+  [signingStatus.signed]: 0,
+  [signingStatus.validated]: 0,
+  [signingStatus.failedValidation]: 2,
+  [signingStatus.manualReview]: 3,
+  [signingStatus.serverRejected]: 4,
+  [signingStatus.reviewRejected]: 5,
+};
+
+
+/**
+ * Returns the exit code for a signing result.
+ */
+function getExitCode(result) {
+  if (result.status in exitCodes) {
+    return exitCodes[result.status];
+  }
+  return result.success ? 0 : 1;
+}
@@ -0,0 +1,131 @@
+import crypto from "crypto";
+import fs from "mz/fs";
+import path from "path";
+import when from "when";
+
+
+/**
+ * Returns the path of the state file for an add-on version.
+ *
+ * @param {String} stateDir - directory that holds state files.
+ * @param {String} guid - add-on ID.
+ * @param {String} version - add-on version.
+ * @return {String}
+ */
+export function getStateFilePath(stateDir, guid, version) {
+  // IDs can contain characters, like braces, that don't belong in names.
+  var name = `${guid}-${version}`.replace(/[^\w.@-]/g, "_");
+  return path.join(stateDir, `${name}.json`);
+}
+
+
+/**
+ * Returns the SHA-256 hash of a file as a hex string.
+ */
+export function hashFile(filePath,
+                         {createReadStream=fs.createReadStream} = {}) {
+  return when.promise((resolve, reject) => {
+    var hash = crypto.createHash("sha256");
+    createReadStream(filePath)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+
+/**
+ * The state of a submission to the signing API, kept in a JSON file so
+ * that a later run can pick up where an interrupted one stopped.
+ *
+ * Writes are queued so that they reach the file in order.
+ */
+export class SubmissionState {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.data = null;
+    this._lastWrite = when.resolve();
+  }
+
+  /**
+   * Read the state file.
+   *
+   * @return {Promise} resolved with the saved state, or null if there is
+   *                   none.
+   */
+  read() {
+    return fs.readFile(this.filePath, "utf8").then((content) => {
+      this.data = JSON.parse(content);
+      return this.data;
+    }).catch((error) => {
+      if (error.code === "ENOENT") {
+        this.data = null;
+        return null;
+      }
+      throw error;
+    });
+  }
+
+  /**
+   * Merge changes into the state and save it.
+   *
+   * @param {Object} changes - properties to set.
+   * @return {Promise}
+   */
+  update(changes) {
+    this.data = {
+      ...this.data,
+      ...changes,
+      updatedAt: new Date().toISOString(),
+    };
+    var data = this.data;
+    return this._queue(() => {
+      return makeDirectory(path.dirname(this.filePath)).then(() => {
+        return fs.writeFile(this.filePath, JSON.stringify(data, null, 2));
+      });
+    });
+  }
+
+  /**
+   * Remove the state file, once the submission no longer needs resuming.
+   *
+   * @return {Promise}
+   */
+  remove() {
+    this.data = null;
+    return this._queue(() => {
+      return fs.unlink(this.filePath).catch((error) => {
+        if (error.code !== "ENOENT") {
+          throw error;
+        }
+      });
+    });
+  }
+
+  _queue(write) {
+    // A failed write should not keep later ones from being attempted.
+    var result = this._lastWrite.catch(() => {}).then(write);
+    this._lastWrite = result;
+    return result;
+  }
+}
+
+
+/**
+ * Create a directory and any missing parent directories, like
+ * `mkdir -p`.
+ *
+ * @return {Promise} resolved once the directory exists.
+ */
+function makeDirectory(dirPath) {
+  return fs.mkdir(dirPath).catch((error) => {
+    if (error.code === "EEXIST") {
+      return;
+    }
+    var parentPath = path.dirname(dirPath);
+    if (error.code !== "ENOENT" || parentPath === dirPath) {
+      throw error;
+    }
+    return makeDirectory(parentPath).then(() => makeDirectory(dirPath));
+  });
+}
@@ -0,0 +1,19 @@
+/**
+ * Outcomes of a signing request, as reported in the `status` property of
+ * its result.
+ */
+export const signingStatus = {
+  // The add-on was signed and its files were downloaded.
+  signed: "signed",
+  // The add-on failed validation, or the warnings policy.
+  failedValidation: "failedValidation",
+  // The add-on passed validation but is held for a manual review.
+  manualReview: "manualReview",
+  // The add-on was held for a manual review and a reviewer rejected it.
+  reviewRejected: "reviewRejected",
+  // The add-on passed validation, which was all that was asked for.
+  validated: "validated",
+  // The server refused the upload, for example because the version
+  // already exists.
+  serverRejected: "serverRejected",
+};
@@ -0,0 +1,143 @@
+import {signingStatus} from "./status";
+
+
+/**
+ * Message types reported by the AMO validator, in order of severity.
+ */
+const severities = ["error", "warning", "notice"];
+
+
+/**
+ * Returns the messages of AMO validation results, grouped by severity.
+ *
+ * @param {Object} results - validation results from the API. These have
+ *   a `messages` array of objects with `type`, `message`, `file`
+ *   and `line` properties.
+ * @return {Object} with `errors`, `warnings` and `notices` arrays. Each
+ *   message is an object with `file`, `line`, `message` and `severity`
+ *   properties; `file` and `line` are null when they're not known.
+ */
+export function getValidationMessages(results) {
+  var validation = {
+    errors: [],
+    warnings: [],
+    notices: [],
+  };
+
+  ((results || {}).messages || []).forEach((result) => {
+    var severity = result.type;
+    if (severities.indexOf(severity) === -1) {
+      severity = "notice";
+    }
+    var file = result.file;
+    if (Array.isArray(file)) {
+      // Files nested in archives are reported as a list of paths.
+      file = file.join("/");
+    }
+    validation[`${severity}s`].push({
+      file: file || null,
+      line: result.line || null,
+      message: result.message,
+      severity: severity,
+    });
+  });
+
+  return validation;
+}
+
+
+/**
+ * Returns validation messages as readable text, grouped by file.
+ *
+ * @param {Object} validation - messages as returned by
+ *                              `getValidationMessages()`.
+ * @return {String}
+ */
+export function formatValidationMessages(validation) {
+  var messagesByFile = {};
+  var files = [];
+
+  severities.forEach((severity) => {
+    validation[`${severity}s`].forEach((message) => {
+      var file = message.file || "(add-on)";
+      if (!messagesByFile[file]) {
+        messagesByFile[file] = [];
+        files.push(file);
+      }
+      messagesByFile[file].push(message);
+    });
+  });
+
+  var lines = [];
+  files.sort().forEach((file) => {
+    lines.push(`${file}:`);
+    messagesByFile[file].forEach((message) => {
+      var location = message.line ? ` (line ${message.line})` : "";
+      lines.push(`  ${message.severity}: ${message.message}${location}`);
+    });
+  });
+  return lines.join("\n");
+}
+
+
+/**
+ * Returns the total number of validation messages.
+ */
+export function countValidationMessages(validation) {
+  return validation.errors.length + validation.warnings.length +
+         validation.notices.length;
+}
+
+
+/**
+ * Apply a warnings policy to a signing result.
+ *
+ * A successful result is turned into a failure when the validator
+ * reported more warnings than allowed.
+ *
+ * @param {Object} result - signing result, with a `validation` property
+ *                          as returned by `getValidationMessages()`.
+ * @param {Object} policy
+ *   - `failOnWarnings`: when true, no warnings are allowed.
+ *   - `maxWarnings`: the number of warnings allowed.
+ * @return {Object} the result. When the policy was violated, it has
+ *   `success: false`, a `failedValidation` status and the warnings in
+ *   `offendingWarnings`. Results without validation results violate it,
+ *   except those whose `validationUnavailable` property says they can't
+ *   have any, such as resumed versions of version 5 of the API; these
+ *   pass with `warningsUnchecked: true`.
+ */
+export function applyWarningsPolicy(result,
+                                    {failOnWarnings=false,
+                                     maxWarnings=null} = {}) {
+  if (failOnWarnings) {
+    maxWarnings = 0;
+  }
+  if (maxWarnings == null || !result.success) {
+    return result;
+  }
+
+  if (!result.validation && result.validationUnavailable) {
+    return {...result, warningsUnchecked: true};
+  }
+  if (!result.validation) {
+    // Without validation results the policy can't be shown to hold.
+    return {
+      ...result,
+      success: false,
+      status: signingStatus.failedValidation,
+      offendingWarnings: [],
+    };
+  }
+
+  var warnings = result.validation.warnings;
+  if (warnings.length > maxWarnings) {
+    return {
+      ...result,
+      success: false,
+      status: signingStatus.failedValidation,
+      offendingWarnings: warnings,
+    };
+  }
+  return result;
+}
@@ -0,0 +1,163 @@
+// A part of a toolkit version, between dots: a number, optionally
+// followed by a string, a number and a string, such as `0b2` or `1pre`.
+const versionPartPattern = /^(\d+|\*)?([a-z+-]+\d*[a-z+-]*)?$/i;
+
+// Ways to derive a new version from one that already exists on AMO, by
+// name. Each is called with the version and an object with the number of
+// the `attempt`, starting at 1, and a `now` function returning the time.
+export const autoVersionStrategies = {
+  // 1.0 becomes 1.0.1, then 1.0.2 and so on.
+  build: (version, {attempt}) => `${version}.${attempt}`,
+  // 1.0 becomes 1.0.20161019.93000 at 09:30:00 UTC on October 19, 2016.
+  timestamp: (version, {now}) => {
+    var date = new Date(now());
+    var day = date.getUTCFullYear() * 10000 +
+              (date.getUTCMonth() + 1) * 100 + date.getUTCDate();
+    var time = date.getUTCHours() * 10000 + date.getUTCMinutes() * 100 +
+               date.getUTCSeconds();
+    return `${version}.${day}.${time}`;
+  },
+};
+
+
+/**
+ * Returns true if a version string follows the Mozilla toolkit version
+ * format, such as `1.2.3`, `2.0b1` or `1.*`.
+ */
+export function isValidVersion(version) {
+  if (/\s/.test(version)) {
+    return false;
+  }
+  return version.split(".").every(
+    (part) => part !== "" && versionPartPattern.test(part));
+}
+
+
+/**
+ * Parse a toolkit version string the way Firefox does.
+ *
+ * Each part between dots is made of a number, a string, a number and the
+ * rest of the part: `1a2pre` is `{numA: 1, strB: "a", numC: 2,
+ * extraD: "pre"}`. Missing numbers are `0` and missing strings `null`.
+ * A part of `*` has an infinite `numA`, and a `+` after the first number
+ * stands for the next number followed by `pre`, so that `1+` is `2pre`.
+ *
+ * @param {String} version
+ * @return {Array} of parsed parts.
+ */
+export function parseVersion(version) {
+  return version.split(".").map(parseVersionPart);
+}
+
+
+/**
+ * Compare two toolkit version strings.
+ *
+ * Parts are compared in order, and missing parts count as `0`. Within a
+ * part, numbers compare numerically and strings by character code, but a
+ * missing string is higher than any string, so that `1.0` is higher than
+ * `1.0a1` and `1.0pre`.
+ *
+ * @return {Number} -1, 0 or 1 when `a` is lower, equal or higher than `b`.
+ */
+export function compareVersions(a, b) {
+  var partsA = parseVersion(a);
+  var partsB = parseVersion(b);
+  var length = Math.max(partsA.length, partsB.length);
+
+  for (var i = 0; i < length; i++) {
+    var result = compareVersionParts(partsA[i] || parseVersionPart("0"),
+                                     partsB[i] || parseVersionPart("0"));
+    if (result) {
+      return result;
+    }
+  }
+  return 0;
+}
+
+
+/**
+ * Returns the highest of a list of toolkit version strings, or null when
+ * the list is empty.
+ */
+export function getHighestVersion(versions) {
+  return versions.reduce((highest, version) => {
+    if (highest === null || compareVersions(version, highest) > 0) {
+      return version;
+    }
+    return highest;
+  }, null);
+}
+
+
+/**
+ * Returns a part of a version string parsed like `parseVersion()` does.
+ */
+function parseVersionPart(part) {
+  if (part === "*") {
+    return {numA: Infinity, strB: null, numC: 0, extraD: null};
+  }
+  var match = part.match(/^(-?\d*)(.*)$/);
+  var numA = parseInt(match[1], 10) || 0;
+  var rest = match[2];
+  var strB = null;
+
+  if (rest[0] === "+") {
+    numA += 1;
+    strB = "pre";
+    rest = rest.slice(1);
+  } else {
+    var string = rest.match(/^[^\d+-]*/)[0];
+    strB = string || null;
+    rest = rest.slice(string.length);
+  }
+
+  var numberC = rest.match(/^-?\d*/)[0];
+  return {
+    numA,
+    strB,
+    numC: parseInt(numberC, 10) || 0,
+    extraD: rest.slice(numberC.length) || null,
+  };
+}
+
+
+/**
+ * Compare two parsed version parts, like `compareVersions()`.
+ */
+function compareVersionParts(a, b) {
+  return compareNumbers(a.numA, b.numA) ||
+         compareStrings(a.strB, b.strB) ||
+         compareNumbers(a.numC, b.numC) ||
+         compareStrings(a.extraD, b.extraD);
+}
+
+
+/**
+ * Returns -1, 0 or 1 when a number is lower, equal or higher than another.
+ */
+function compareNumbers(a, b) {
+  if (a === b) {
+    return 0;
+  }
+  return a < b ? -1 : 1;
+}
+
+
+/**
+ * Returns -1, 0 or 1 when a version string part is lower, equal or higher
+ * than another.
+ */
+function compareStrings(a, b) {
+  if (a === b) {
+    return 0;
+  }
+  // A missing string is higher than any string.
+  if (a === null) {
+    return 1;
+  }
+  if (b === null) {
+    return -1;
+  }
+  return a < b ? -1 : 1;
+}
@@ -0,0 +1,280 @@
+import crypto from "crypto";
+import ignore from "ignore";
+import fs from "mz/fs";
+import path from "path";
+import streamToPromise from "stream-to-promise";
+import when from "when";
+import yauzl from "yauzl";
+import yazl from "yazl";
+
+/**
+ * Name of the file, in gitignore syntax, that lists source files to leave
+ * out of an XPI.
+ */
+export const ignoreFileName = ".amoignore";
+
+/**
+ * Files and directories that never belong in an XPI built from sources.
+ */
+const defaultExcludes = [
+  (name) => name === ".git",
+  (name) => name === "node_modules",
+  (name, isDirectory) => !isDirectory && /\.xpi$/i.test(name),
+  (name, isDirectory, relativePath) => relativePath === ignoreFileName,
+];
+
+// A fixed timestamp for all archive entries keeps built XPIs reproducible.
+// It is created from local time components because zip timestamps
+// don't have a timezone.
+const entryModifiedTime = new Date(1980, 0, 1);
+const entryMode = 0o100644;
+
+
+/**
+ * Read some files out of an XPI (zip) archive.
+ *
+ * @param {String} xpiPath - path to the XPI file.
+ * @param {Array} fileNames - names of the archive entries to read, or
+ *                            null to read all of them.
+ * @return {Promise} resolved with an object that maps each of the
+ *                   requested file names found in the archive to
+ *                   a Buffer of its contents. Directories are empty.
+ */
+export function readXpiFiles(xpiPath, fileNames) {
+  return when.promise((resolve, reject) => {
+    yauzl.open(xpiPath, {lazyEntries: true}, (openError, zipFile) => {
+      if (openError) {
+        return reject(openError);
+      }
+      var files = {};
+
+      zipFile.on("error", reject);
+      zipFile.on("end", () => resolve(files));
+      zipFile.on("entry", (entry) => {
+        if (fileNames && fileNames.indexOf(entry.fileName) === -1) {
+          zipFile.readEntry();
+          return;
+        }
+        if (entry.fileName.slice(-1) === "/") {
+          files[entry.fileName] = new Buffer(0);
+          zipFile.readEntry();
+          return;
+        }
+        zipFile.openReadStream(entry, (streamError, stream) => {
+          if (streamError) {
+            return reject(streamError);
+          }
+          streamToPromise(stream).then((contents) => {
+            files[entry.fileName] = contents;
+            zipFile.readEntry();
+          }, reject);
+        });
+      });
+
+      zipFile.readEntry();
+    });
+  });
+}
+
+
+/**
+ * Returns the SHA-256 hash of the files in an XPI, as a hex string.
+ *
+ * Signature files, in `META-INF/`, are left out, so that a signed XPI
+ * has the same hash as the XPI it was signed from. The order of the
+ * archive entries and their timestamps don't change the hash either.
+ *
+ * @param {String} xpiPath - path to the XPI file.
+ * @return {Promise} resolved with the hash.
+ */
+export function hashXpiContents(xpiPath) {
+  return readXpiFiles(xpiPath, null).then((files) => {
+    var hash = crypto.createHash("sha256");
+    Object.keys(files).sort().forEach((name) => {
+      if (name.slice(-1) === "/" || name.indexOf("META-INF/") === 0) {
+        return;
+      }
+      var contentHash = crypto.createHash("sha256")
+        .update(files[name]).digest("hex");
+      hash.update(`${name}\0${contentHash}\n`);
+    });
+    return hash.digest("hex");
+  });
+}
+
+
+/**
+ * List the files of an add-on source directory that belong in its XPI.
+ *
+ * Files matching the patterns of an `.amoignore` file at the top of
+ * the source directory are left out, as well as the default exclusions.
+ *
+ * @param {String} sourceDir - path to the add-on source directory.
+ * @param {Object} options
+ *   - `ignoreFiles`: array of additional patterns, in gitignore
+ *     syntax, of files to leave out.
+ * @return {Promise} resolved with a sorted array of file paths,
+ *                   relative to `sourceDir` and separated by `/`.
+ */
+export function listSourceFiles(sourceDir, {ignoreFiles=[]} = {}) {
+  return readIgnoreFile(sourceDir).then((patterns) => {
+    return listFiles(
+      sourceDir, ignore().add(patterns).add(ignoreFiles).createFilter());
+  });
+}
+
+
+/**
+ * List the files of a directory, except for the default exclusions.
+ *
+ * @param {String} sourceDir - path to the directory.
+ * @param {Function} isIncluded - called with the relative path of each
+ *   file and directory, with a trailing slash for directories; returns
+ *   false to leave it out.
+ * @return {Promise} resolved like `listSourceFiles()`.
+ */
+function listFiles(sourceDir, isIncluded) {
+
+  function listDir(relativeDir) {
+    return fs.readdir(path.join(sourceDir, relativeDir)).then((names) => {
+      return when.all(names.map((name) => {
+        var relativePath = relativeDir ? `${relativeDir}/${name}` : name;
+        return fs.stat(path.join(sourceDir, relativePath)).then((stats) => {
+          var isDirectory = stats.isDirectory();
+          var excluded = defaultExcludes.some(
+            (exclude) => exclude(name, isDirectory, relativePath));
+          // A trailing slash lets directory patterns like `tests/` match.
+          if (excluded ||
+              !isIncluded(isDirectory ? relativePath + "/" : relativePath)) {
+            return [];
+          }
+          return isDirectory ? listDir(relativePath) : [relativePath];
+        });
+      }));
+    }).then((fileLists) => {
+      return fileLists.reduce((allFiles, files) => allFiles.concat(files),
+                              []);
+    });
+  }
+
+  return listDir("").then((files) => files.sort());
+}
+
+
+/**
+ * Returns the contents of the ignore file in a source directory, or
+ * an empty string when there isn't one.
+ */
+function readIgnoreFile(sourceDir) {
+  return fs.readFile(path.join(sourceDir, ignoreFileName), "utf8")
+    .catch((error) => {
+      if (error.code === "ENOENT") {
+        return "";
+      }
+      throw error;
+    });
+}
+
+
+/**
+ * Build an XPI file from an add-on source directory.
+ *
+ * Building the same sources always produces the same XPI: files are
+ * added in a stable order with fixed timestamps and permissions.
+ *
+ * @param {Object} conf
+ *   - `sourceDir`: path to the add-on source directory.
+ *   - `xpiPath`: path of the XPI file to create.
+ *   - `ignoreFiles`: patterns of files to leave out,
+ *     as accepted by `listSourceFiles()`.
+ * @return {Promise} resolved with `xpiPath` once the file is written.
+ */
+export function buildXpi({sourceDir, xpiPath, ignoreFiles}) {
+  return listSourceFiles(sourceDir, {ignoreFiles})
+    .then((files) => writeZip(sourceDir, files, xpiPath));
+}
+
+
+/**
+ * Build a zip archive of an add-on's source code, for reviewers.
+ *
+ * Unlike `buildXpi()`, the patterns of an `.amoignore` file are not
+ * applied: files left out of the XPI, like unminified sources, are what
+ * reviewers need. Dependencies and VCS directories are still left out.
+ *
+ * @param {Object} conf
+ *   - `sourceDir`: path to the source directory.
+ *   - `archivePath`: path of the zip file to create.
+ * @return {Promise} resolved with `archivePath` once the file is written.
+ */
+export function buildSourceArchive({sourceDir, archivePath}) {
+  return listFiles(sourceDir, () => true)
+    .then((files) => writeZip(sourceDir, files, archivePath));
+}
+
+
+/**
+ * Copy an XPI, replacing the contents of some of its files.
+ *
+ * @param {Object} conf
+ *   - `xpiPath`: path to the XPI file to copy.
+ *   - `outputPath`: path of the XPI file to create.
+ *   - `files`: object that maps names of archive entries to their new
+ *     contents, as strings or Buffers.
+ * @return {Promise} resolved with `outputPath` once the file is written.
+ */
+export function rewriteXpi({xpiPath, outputPath, files}) {
+  return readXpiFiles(xpiPath, null).then((entries) => {
+    var zipFile = new yazl.ZipFile();
+    Object.keys(entries).forEach((name) => {
+      if (name.slice(-1) === "/") {
+        zipFile.addEmptyDirectory(name, {mtime: entryModifiedTime});
+        return;
+      }
+      var contents = files.hasOwnProperty(name) ? files[name] :
+                                                  entries[name];
+      if (typeof contents === "string") {
+        contents = new Buffer(contents, "utf8");
+      }
+      zipFile.addBuffer(contents, name, {
+        mtime: entryModifiedTime,
+        mode: entryMode,
+      });
+    });
+    return saveZip(zipFile, outputPath);
+  });
+}
+
+
+/**
+ * Write files of a directory to a zip file, with fixed timestamps and
+ * permissions.
+ *
+ * @return {Promise} resolved with `zipPath` once the file is written.
+ */
+function writeZip(sourceDir, files, zipPath) {
+  var zipFile = new yazl.ZipFile();
+  files.forEach((file) => {
+    zipFile.addFile(path.join(sourceDir, file), file, {
+      mtime: entryModifiedTime,
+      mode: entryMode,
+    });
+  });
+  return saveZip(zipFile, zipPath);
+}
+
+
+/**
+ * Write a zip file whose entries have all been added.
+ *
+ * @return {Promise} resolved with `zipPath` once the file is written.
+ */
+function saveZip(zipFile, zipPath) {
+  return when.promise((resolve, reject) => {
+    var out = fs.createWriteStream(zipPath);
+    out.on("error", reject);
+    out.on("close", () => resolve(zipPath));
+    zipFile.outputStream.on("error", reject).pipe(out);
+    zipFile.end();
+  });
+}
@@ -1,4 +1,6 @@
-import {beforeEach, describe, it} from "mocha";
+import {afterEach, beforeEach, describe, it} from "mocha";
+import fs from "mz/fs";
+import os from "os";
 import path from "path";
 import {expect} from "chai";
 import sinon from "sinon";
@@ -6,6 +8,20 @@ import jwt from "jsonwebtoken";
 import when from "when";
 
 import * as amoClient from "../src/amo-client";
+import {hashFile} from "../src/state";
+import {signingStatus} from "../src/status";
+import {
+  AuthenticationError,
+  InvalidArgumentError,
+  MissingArgumentError,
+  NoSignedFilesError,
+  RateLimitError,
+  ReviewTimeoutError,
+  ServerError,
+  StatusCheckError,
+  ValidationTimeoutError,
+} from "../src/errors";
+import {applyWarningsPolicy} from "../src/validation";
 
 
 describe("amoClient.Client", function() {
@@ -72,6 +88,14 @@ describe("amoClient.Client", function() {
           download_url: "http://amo/some-signed-file-1.2.3.xpi",
         }],
         validation_url: "http://amo/validation-results/",
+        validation_results: {
+          messages: [{
+            type: "warning",
+            message: "Missing update URL",
+            file: "install.rdf",
+            line: 3,
+          }],
+        },
         ...overrides,
       };
 
@@ -88,6 +112,7 @@ describe("amoClient.Client", function() {
         pipe: function() {
           return this;
         },
+        abort: function() {},
       };
 
       var fakeFileWriter = {
@@ -97,6 +122,12 @@ describe("amoClient.Client", function() {
             // handler is registered.
             handler();
           }
+          if (event === "close") {
+            this.onClose = handler;
+          }
+        },
+        destroy: function() {
+          this.onClose();
         },
       };
 
@@ -142,6 +173,66 @@ describe("amoClient.Client", function() {
       });
     });
 
+    it("uploads to a channel", function() {
+      this.client.waitForSignedAddon = sinon.spy(() => {});
+      this.client._request = new MockRequest({
+        httpResponse: {statusCode: 202},
+        responseBody: {url: "/some-status-url"},
+      });
+
+      return this.sign({channel: "unlisted"}).then(() => {
+        var putCall = this.client._request.calls[0];
+        expect(putCall.conf.formData.channel).to.be.equal("unlisted");
+        expect(this.client.waitForSignedAddon.firstCall.args[1].channel)
+          .to.be.equal("unlisted");
+      });
+    });
+
+    it("uploads source code", function() {
+      this.client.waitForSignedAddon = sinon.spy(() => {});
+      this.client._fs.createReadStream = (filePath) => `stream of ${filePath}`;
+      this.client._request = new MockRequest({
+        httpResponse: {statusCode: 202},
+        responseBody: {url: "/some-status-url"},
+      });
+
+      return this.sign({
+        xpiPath: "addon.xpi",
+        sourcePath: "source.zip",
+      }).then(() => {
+        var formData = this.client._request.calls[0].conf.formData;
+        expect(formData.upload).to.be.equal("stream of addon.xpi");
+        expect(formData.source).to.be.equal("stream of source.zip");
+      });
+    });
+
+    it("refuses metadata with version 3 of the API", function() {
+      this.client._request = new MockRequest();
+
+      return this.sign({metadata: {license: "MPL-2.0"}})
+        .then(() => {
+          throw new Error("unexpected success");
+        }).catch((error) => {
+          expect(error).to.be.instanceof(InvalidArgumentError);
+          expect(error.message).to.include("requires version 5 of the API");
+          expect(this.client._request.calls.length).to.be.equal(0);
+        });
+    });
+
+    it("leaves the channel to the server by default", function() {
+      this.client.waitForSignedAddon = sinon.spy(() => {});
+      this.client._request = new MockRequest({
+        httpResponse: {statusCode: 202},
+        responseBody: {url: "/some-status-url"},
+      });
+
+      return this.sign().then(() => {
+        var putCall = this.client._request.calls[0];
+        expect(putCall.conf.formData).to.not.have.property("channel");
+        expect(putCall.conf.formData).to.not.have.property("source");
+      });
+    });
+
     it("handles already validated add-ons", function() {
       var waitForSignedAddon = sinon.spy(() => {});
       this.client.waitForSignedAddon = waitForSignedAddon;
@@ -154,16 +245,96 @@ describe("amoClient.Client", function() {
       return this.sign().then(function(result) {
         expect(waitForSignedAddon.called).to.be.equal(false);
         expect(result.success).to.be.equal(false);
+        expect(result.status).to.be.equal(signingStatus.serverRejected);
+        expect(result.statusData).to.be.deep.equal(
+          {error: "version already exists"});
+        expect(result.versionExists).to.be.equal(true);
+      });
+    });
+
+    it("tells other refused uploads from existing versions", function() {
+      this.client._request = new MockRequest({
+        httpResponse: {statusCode: 400},
+        responseBody: {error: "Add-on ID does not match the manifest"},
+      });
+
+      return this.sign().then(function(result) {
+        expect(result.status).to.be.equal(signingStatus.serverRejected);
+        expect(result.versionExists).to.be.equal(false);
       });
     });
 
     it("throws an error when signing on a 500 server response", function() {
-      this.client._request = new MockRequest({httpResponse: {statusCode: 500}});
+      this.client._request = new MockRequest({
+        httpResponse: {
+          statusCode: 500,
+          headers: {"content-type": "text/html"},
+        },
+        responseBody: "<h1>Server Error</h1>",
+      });
 
       return this.sign().then(function() {
         throw new Error("unexpected success");
       }).catch(function(err) {
+        expect(err).to.be.instanceof(ServerError);
         expect(err.message).to.include("Received bad response");
+        expect(err.status).to.be.equal(500);
+        expect(err.headers["content-type"]).to.be.equal("text/html");
+        expect(err.body).to.be.equal("<h1>Server Error</h1>");
+      });
+    });
+
+    it("throws an error when the credentials are rejected", function() {
+      this.client._request = new MockRequest({
+        httpResponse: {statusCode: 401},
+        responseBody: {error: "Incorrect authentication credentials."},
+      });
+
+      return this.sign().then(function() {
+        throw new Error("unexpected success");
+      }).catch(function(err) {
+        expect(err).to.be.instanceof(AuthenticationError);
+        expect(err).to.be.instanceof(ServerError);
+        expect(err.status).to.be.equal(401);
+      });
+    });
+
+    it("resumes waiting on a submitted version", function() {
+      var waitForSignedAddon = sinon.spy(() => {});
+      this.client.waitForSignedAddon = waitForSignedAddon;
+      this.client._request = new MockRequest({
+        responseBody: signedResponse({processed: false}).responseBody,
+      });
+
+      return this.client.resume({
+        guid: "a-guid",
+        version: "a-version",
+      }).then(() => {
+        var statusUrl = "/addons/a-guid/versions/a-version/";
+        expect(this.client._request.calls[0].name).to.be.equal("get");
+        expect(this.client._request.calls[0].conf.url)
+          .to.include(statusUrl);
+        expect(waitForSignedAddon.firstCall.args[0]).to.be.equal(statusUrl);
+      });
+    });
+
+    it("does not resume a version that was not submitted", function() {
+      var waitForSignedAddon = sinon.spy(() => {});
+      this.client.waitForSignedAddon = waitForSignedAddon;
+      this.client._request = new MockRequest({
+        httpResponse: {statusCode: 404},
+        responseBody: {detail: "Not found."},
+      });
+
+      return this.client.resume({
+        guid: "a-guid",
+        version: "a-version",
+      }).then(() => {
+        throw new Error("unexpected success");
+      }).catch((err) => {
+        expect(err).to.be.instanceof(ServerError);
+        expect(err.status).to.be.equal(404);
+        expect(waitForSignedAddon.called).to.be.equal(false);
       });
     });
 
@@ -242,6 +413,9 @@ describe("amoClient.Client", function() {
         // Expect exactly two GETs before resolution.
         expect(this.client._request.calls.length).to.be.equal(2);
         expect(result.success).to.be.equal(false);
+        expect(result.status).to.be.equal(signingStatus.failedValidation);
+        expect(result.statusData.valid).to.be.equal(false);
+        expect(result.downloadedFiles).to.be.deep.equal([]);
       });
     });
 
@@ -257,6 +431,110 @@ describe("amoClient.Client", function() {
 
       return this.waitForSignedAddon().then(function(result) {
         expect(result.success).to.be.equal(false);
+        expect(result.status).to.be.equal(signingStatus.manualReview);
+      });
+    });
+
+    it("explains manual reviews for each channel", function() {
+      var messages = {};
+      this.client.logger = {log: sinon.spy(() => {})};
+
+      return ["listed", "unlisted"].reduce((previousWait, channel) => {
+        return previousWait.then(() => {
+          this.client._request = new MockRequest({
+            responseQueue: [signedResponse({automated_signing: false})],
+          });
+          return this.waitForSignedAddon(null, {channel});
+        }).then((result) => {
+          expect(result.channel).to.be.equal(channel);
+          messages[channel] = this.client.logger.log.lastCall.args[0];
+        });
+      }, when.resolve()).then(() => {
+        expect(messages.listed).to.include("signed and published once");
+        expect(messages.unlisted)
+          .to.include("will not be published on addons.mozilla.org");
+      });
+    });
+
+    it("resolves with validation messages", function() {
+      this.client.downloadSignedFiles = () => when.resolve({
+        success: true,
+        downloadedFiles: ["some-signed-file-1.2.3.xpi"],
+      });
+      this.client._request = new MockRequest({
+        responseQueue: [signedResponse()],
+      });
+
+      return this.waitForSignedAddon().then((result) => {
+        expect(result.success).to.be.equal(true);
+        expect(result.status).to.be.equal(signingStatus.signed);
+        expect(result.statusData.processed).to.be.equal(true);
+        expect(result.validationUrl)
+          .to.be.equal("http://amo/validation-results/");
+        expect(result.downloadedFiles)
+          .to.be.deep.equal(["some-signed-file-1.2.3.xpi"]);
+        expect(result.validation.warnings).to.be.deep.equal([{
+          file: "install.rdf",
+          line: 3,
+          message: "Missing update URL",
+          severity: "warning",
+        }]);
+      });
+    });
+
+    it("resolves failed validation with messages", function() {
+      this.client._request = new MockRequest({
+        responseQueue: [
+          signedResponse({
+            valid: false,
+            validation_results: {
+              messages: [{type: "error", message: "Invalid manifest"}],
+            },
+          }),
+        ],
+      });
+
+      return this.waitForSignedAddon().then((result) => {
+        expect(result.success).to.be.equal(false);
+        expect(result.validation.errors[0].message)
+          .to.be.equal("Invalid manifest");
+      });
+    });
+
+    it("fetches validation results from the validation URL", function() {
+      this.client._request = new MockRequest({
+        responseQueue: [
+          signedResponse({valid: false, validation_results: undefined}),
+          {
+            responseBody: {
+              validation: {
+                messages: [{type: "notice", message: "Some notice"}],
+              },
+            },
+          },
+        ],
+      });
+
+      return this.waitForSignedAddon().then((result) => {
+        var validationCall = this.client._request.calls[1];
+        expect(validationCall.conf.url)
+          .to.be.equal("http://amo/validation-results/");
+        expect(result.validation.notices[0].message)
+          .to.be.equal("Some notice");
+      });
+    });
+
+    it("ignores unavailable validation results", function() {
+      this.client._request = new MockRequest({
+        responseQueue: [
+          signedResponse({valid: false, validation_results: undefined}),
+          {httpResponse: {statusCode: 404}},
+        ],
+      });
+
+      return this.waitForSignedAddon().then((result) => {
+        expect(result.success).to.be.equal(false);
+        expect(result.validation).to.be.equal(null);
       });
     });
 
@@ -272,12 +550,95 @@ describe("amoClient.Client", function() {
       }).then(function() {
         throw new Error("Unexpected success");
       }).catch(function(err) {
+        expect(err).to.be.instanceof(ValidationTimeoutError);
         expect(err.message).to.include("took too long");
         expect(clearTimeout.firstCall.args[0])
           .to.be.equal("status-check-timeout-id");
       });
     });
 
+    it("keeps polling after a failed status check", function() {
+      this.client._request = new MockRequest({
+        responseQueue: [
+          {responseError: new Error("some network error")},
+          {responseBody: "}{"},
+          signedResponse(),
+        ],
+      });
+      var downloadSignedFiles = sinon.spy(() => {});
+      this.client.downloadSignedFiles = downloadSignedFiles;
+
+      return this.waitForSignedAddon().then(() => {
+        expect(downloadSignedFiles.called).to.be.equal(true);
+      });
+    });
+
+    it("fails after too many failed status checks", function() {
+      var clearTimeout = sinon.spy(() => {});
+      var networkError = new Error("some network error");
+      this.client._request = new MockRequest({
+        responseQueue: [
+          signedResponse({processed: false}),
+          {responseError: networkError},
+          {responseError: networkError},
+          {responseError: networkError},
+        ],
+      });
+
+      return this.waitForSignedAddon("/status-url", {
+        clearTimeout,
+        setAbortTimeout: () => "abort-timeout-id",
+      }).then(() => {
+        throw new Error("Unexpected success");
+      }).catch((err) => {
+        expect(err).to.be.instanceof(StatusCheckError);
+        expect(err.message).to.include("failed 3 times in a row");
+        expect(err.message).to.include("some network error");
+        expect(err.cause).to.be.equal(networkError);
+        expect(err.lastStatus.processed).to.be.equal(false);
+        expect(clearTimeout.firstCall.args[0])
+          .to.be.equal("abort-timeout-id");
+      });
+    });
+
+    it("can configure how many status checks may fail", function() {
+      var client = this.newClient({
+        maxStatusCheckFailures: 1,
+        request: new MockRequest({responseBody: ""}),
+      });
+
+      return client.waitForSignedAddon("/status-url", {
+        setAbortTimeout: () => {},
+      }).then(() => {
+        throw new Error("Unexpected success");
+      }).catch((err) => {
+        expect(err).to.be.instanceof(StatusCheckError);
+        expect(err.message).to.include("unexpected status response");
+        expect(err.lastStatus).to.be.equal(null);
+      });
+    });
+
+    it("reports the last status after a timeout", function() {
+      var abort;
+      this.client._request = new MockRequest({
+        responseQueue: [signedResponse({processed: false})],
+      });
+
+      return this.client.waitForSignedAddon("/status-url", {
+        clearTimeout: () => {},
+        setAbortTimeout: (callback) => {
+          abort = callback;
+        },
+        // Time out while waiting for the next status check.
+        setStatusCheckTimeout: () => abort(),
+      }).then(function() {
+        throw new Error("Unexpected success");
+      }).catch(function(err) {
+        expect(err).to.be.instanceof(ValidationTimeoutError);
+        expect(err.lastStatus.processed).to.be.equal(false);
+      });
+    });
+
     it("can configure signing status check timeout", function() {
       var clearTimeout = sinon.stub();
       var client = this.newClient({
@@ -297,6 +658,28 @@ describe("amoClient.Client", function() {
       });
     });
 
+    it("stops polling when a check ends after the timeout", function() {
+      var finishCheck;
+      var setStatusCheckTimeout = sinon.spy(() => {});
+      this.client.get = () => when.promise((resolve) => {
+        finishCheck = resolve;
+      });
+
+      return this.client.waitForSignedAddon("/status-url", {
+        // Time out while the first check is under way.
+        setAbortTimeout: (callback) => callback(),
+        setStatusCheckTimeout: setStatusCheckTimeout,
+      }).then(() => {
+        throw new Error("Unexpected success");
+      }).catch((error) => {
+        expect(error).to.be.instanceof(ValidationTimeoutError);
+        finishCheck([{statusCode: 200}, {processed: false}]);
+        return when().delay(1);
+      }).then(() => {
+        expect(setStatusCheckTimeout.called).to.be.equal(false);
+      });
+    });
+
     it("clears abort timeout after resolution", function() {
       var clearTimeout = sinon.spy(() => {});
       this.client._request = new MockRequest({
@@ -377,6 +760,33 @@ describe("amoClient.Client", function() {
       });
     });
 
+    it("downloads to a given directory", function() {
+      let client = this.newClient({downloadDir: "/some/download-dir/"});
+      let stubs = getDownloadStubs();
+
+      return client.downloadSignedFiles(stubs.files, {
+        ...stubs,
+        downloadDir: "/some/other-dir/",
+      }).then(() => {
+        expect(stubs.createWriteStream.firstCall.args[0]).to.be.equal(
+          path.join("/some/other-dir/", "some-signed-file-1.2.3.xpi"));
+      });
+    });
+
+    it("can leave out the list of downloaded files", function() {
+      let log = sinon.spy(() => {});
+      let client = this.newClient({logger: {log}});
+      let stubs = getDownloadStubs();
+
+      return client.downloadSignedFiles(stubs.files, {
+        ...stubs,
+        listDownloads: false,
+      }).then((result) => {
+        expect(result.downloadedFiles.length).to.be.equal(1);
+        expect(log.called).to.be.equal(false);
+      });
+    });
+
     it("fails for unsigned files", function() {
       var files = signedResponse().responseBody.files;
       files = files.map(function(fileOb) {
@@ -389,6 +799,7 @@ describe("amoClient.Client", function() {
       return this.client.downloadSignedFiles(files, stubs).then(function() {
         throw new Error("Unexpected success");
       }).catch(function(err) {
+        expect(err).to.be.instanceof(NoSignedFilesError);
         expect(err.message).to.match(/no signed files were found/);
         expect(stubs.request.called).to.be.equal(false);
       });
@@ -415,78 +826,1513 @@ describe("amoClient.Client", function() {
     it("handles download errors", function() {
       let stubs = getDownloadStubs();
 
+      var unlink = sinon.spy((filePath, callback) => callback());
+      var client = this.newClient({fs: {unlink}});
       var errorResponse = {
         on: function(event, handler) {
           if (event === "error") {
             // Immediately trigger a download error.
             handler(new Error("some download error"));
           }
+          return this;
         },
-        pipe: function() {},
+        pipe: function(out) {
+          return out;
+        },
+        abort: sinon.spy(() => {}),
       };
 
-      return this.client.downloadSignedFiles(stubs.files, {
+      return client.downloadSignedFiles(stubs.files, {
         ...stubs,
         request: () => errorResponse,
       }).then(() => {
         throw new Error("Unexpected success");
       }).catch((err) => {
         expect(err.message).to.include("download error");
+        expect(errorResponse.abort.called).to.be.equal(true);
+        // The partly written file is removed.
+        expect(unlink.firstCall.args[0]).to.be.equal(
+          path.join(process.cwd(), "some-signed-file-1.2.3.xpi"));
       });
     });
-  });
 
+    describe("with a state directory", function() {
+      var stateDir;
+      var stateFile;
+      var xpiPath = path.join(__dirname, "fixtures", "simple-addon.xpi");
+
+      beforeEach(function() {
+        stateDir = path.join(os.tmpdir(),
+                             `sign-addon-state-${process.pid}-${Date.now()}`);
+        stateFile = path.join(stateDir, "some-guid-some-version.json");
+        this.client = this.newClient({
+          stateDir,
+          fs: {
+            createReadStream: (filePath) => fs.createReadStream(filePath),
+          },
+          request: new MockRequest({
+            httpResponse: {statusCode: 202},
+            responseBody: {url: "/some-status-url"},
+          }),
+        });
+        this.sign = (conf) => this.client.sign({
+          guid: "some-guid",
+          version: "some-version",
+          ...conf,
+        });
+      });
 
-  describe("debugging", function() {
-    var fakeLog;
+      afterEach(function() {
+        return fs.unlink(stateFile).catch(() => {})
+          .then(() => fs.rmdir(stateDir)).catch(() => {});
+      });
 
-    beforeEach(function() {
-      fakeLog = {
-        log: sinon.spy(() => {}),
-      };
-    });
+      function readState() {
+        return fs.readFile(stateFile, "utf8").then(JSON.parse);
+      }
+
+      function writeState(state) {
+        return fs.mkdir(stateDir)
+          .then(() => fs.writeFile(stateFile, JSON.stringify(state)));
+      }
+
+      it("saves the submission after uploading", function() {
+        var savedState;
+        this.client.waitForSignedAddon = sinon.spy(() => {
+          return readState().then((state) => {
+            savedState = state;
+            return {success: false, status: signingStatus.manualReview};
+          });
+        });
 
-    it("can be configured for debug output", function() {
-      var cli = new amoClient.Client({
-        debugLogging: true,
-        logger: fakeLog,
+        return when.all([
+          this.sign({xpiPath}),
+          hashFile(xpiPath),
+        ]).then(([result, xpiHash]) => {
+          expect(result.status).to.be.equal(signingStatus.manualReview);
+          expect(savedState.statusUrl).to.be.equal("/some-status-url");
+          expect(savedState.xpiHash).to.be.equal(xpiHash);
+          expect(savedState.phase).to.be.equal("uploaded");
+          expect(savedState.uploadedAt).to.be.a("string");
+          return readState();
+        }).then((state) => {
+          // Submissions held for review are resumed by the next run.
+          expect(state.phase).to.be.equal("manualReview");
+        });
       });
-      cli.debug("first", "second");
-      expect(fakeLog.log.firstCall.args[0]).to.be.equal("first");
-      expect(fakeLog.log.firstCall.args[1]).to.be.equal("second");
-    });
 
-    it("hides debug output by default", function() {
-      var cli = new amoClient.Client({
-        logger: fakeLog,
+      it("saves each polled status", function() {
+        this.client._request = new MockRequest({
+          responseQueue: [
+            {
+              httpResponse: {statusCode: 202},
+              responseBody: {url: "/some-status-url"},
+            },
+            signedResponse({processed: false}),
+            signedResponse({automated_signing: false}),
+          ],
+        });
+
+        return this.sign({xpiPath}).then(() => readState()).then((state) => {
+          expect(state.lastStatus.processed).to.be.equal(true);
+          expect(state.lastStatus.automated_signing).to.be.equal(false);
+        });
       });
-      cli.debug("first", "second");
-      expect(fakeLog.log.called).to.be.equal(false);
-    });
 
-    it("redacts authorization headers", function() {
-      var cli = new amoClient.Client({
-        debugLogging: true,
-        logger: fakeLog,
+      it("removes the saved submission once signed", function() {
+        this.client.waitForSignedAddon = () => when.resolve({
+          success: true,
+          status: signingStatus.signed,
+        });
+
+        return this.sign({xpiPath}).then((result) => {
+          expect(result.success).to.be.equal(true);
+          return fs.exists(stateFile);
+        }).then((exists) => {
+          expect(exists).to.be.equal(false);
+        });
       });
-      cli.debug("prefix", {
-        request: {
-          headers: {
-            Authorization: "JWT abcdeabcde...",
-          },
-        },
+
+      it("resumes a pending submission", function() {
+        var waitForSignedAddon = sinon.spy(() => when.resolve({
+          success: true,
+          status: signingStatus.signed,
+        }));
+        this.client.waitForSignedAddon = waitForSignedAddon;
+
+        return hashFile(xpiPath)
+          .then((xpiHash) => writeState({
+            statusUrl: "/pending-status-url",
+            uploadedAt: "2016-04-01T00:00:00.000Z",
+            xpiHash,
+            phase: "processing",
+          }))
+          .then(() => this.sign({xpiPath}))
+          .then((result) => {
+            expect(result.success).to.be.equal(true);
+            expect(this.client._request.calls.length).to.be.equal(0);
+            expect(waitForSignedAddon.firstCall.args[0])
+              .to.be.equal("/pending-status-url");
+          });
       });
-      expect(fakeLog.log.firstCall.args[1].request.headers.Authorization)
-        .to.be.equal("<REDACTED>");
-    });
 
-    it("redacts set-cookie headers", function() {
-      var cli = new amoClient.Client({
-        debugLogging: true,
-        logger: fakeLog,
+      it("uploads again when the submission no longer exists", function() {
+        var waitForSignedAddon = sinon.spy((statusUrl) => {
+          if (statusUrl === "/pending-status-url") {
+            return when.reject(new StatusCheckError("status check failed", {
+              cause: new ServerError("not found", {status: 404}),
+            }));
+          }
+          return readState().then((state) => {
+            expect(state.statusUrl).to.be.equal("/some-status-url");
+            return {success: true, status: signingStatus.signed};
+          });
+        });
+        this.client.waitForSignedAddon = waitForSignedAddon;
+        this.client.logger = {log: () => {}, error: () => {}};
+
+        return hashFile(xpiPath)
+          .then((xpiHash) => writeState({
+            statusUrl: "/pending-status-url",
+            xpiHash,
+            phase: "processing",
+          }))
+          .then(() => this.sign({xpiPath}))
+          .then((result) => {
+            expect(result.success).to.be.equal(true);
+            expect(this.client._request.calls[0].name).to.be.equal("put");
+            expect(waitForSignedAddon.secondCall.args[0])
+              .to.be.equal("/some-status-url");
+            return fs.exists(stateFile);
+          })
+          .then((exists) => {
+            expect(exists).to.be.equal(false);
+          });
       });
-      cli.debug("prefix", {
-        response: {
+
+      it("keeps a submission that failed to resume", function() {
+        this.client.waitForSignedAddon = () => when.reject(
+          new StatusCheckError("status check failed", {
+            cause: new ServerError("server error", {status: 500}),
+          }));
+        this.client.logger = {log: () => {}, error: () => {}};
+
+        return hashFile(xpiPath)
+          .then((xpiHash) => writeState({
+            statusUrl: "/pending-status-url",
+            xpiHash,
+          }))
+          .then(() => this.sign({xpiPath}))
+          .then(() => {
+            throw new Error("unexpected success");
+          }, (error) => {
+            expect(error).to.be.instanceof(StatusCheckError);
+            expect(this.client._request.calls.length).to.be.equal(0);
+            return readState();
+          })
+          .then((state) => {
+            expect(state.statusUrl).to.be.equal("/pending-status-url");
+          });
+      });
+
+      it("forgets a submission rejected in a review", function() {
+        this.client.waitForSignedAddon = () => when.resolve({
+          success: false,
+          status: signingStatus.reviewRejected,
+        });
+
+        return hashFile(xpiPath)
+          .then((xpiHash) => writeState({
+            statusUrl: "/pending-status-url",
+            xpiHash,
+          }))
+          .then(() => this.sign({xpiPath}))
+          .then((result) => {
+            expect(result.status).to.be.equal(signingStatus.reviewRejected);
+            return fs.exists(stateFile);
+          })
+          .then((exists) => {
+            expect(exists).to.be.equal(false);
+          });
+      });
+
+      it("keeps a submission that is still being processed", function() {
+        this.client.waitForSignedAddon = () => when.reject(
+          new ValidationTimeoutError("took too long"));
+        this.client.logger = {log: () => {}, error: () => {}};
+
+        return hashFile(xpiPath)
+          .then((xpiHash) => writeState({
+            statusUrl: "/pending-status-url",
+            xpiHash,
+          }))
+          .then(() => this.sign({xpiPath}))
+          .then(() => {
+            throw new Error("unexpected success");
+          }, (error) => {
+            expect(error).to.be.instanceof(ValidationTimeoutError);
+            return readState();
+          })
+          .then((state) => {
+            expect(state.statusUrl).to.be.equal("/pending-status-url");
+          });
+      });
+
+      it("uploads again when the XPI changed", function() {
+        var waitForSignedAddon = sinon.spy(() => when.resolve({
+          success: true,
+          status: signingStatus.signed,
+        }));
+        this.client.waitForSignedAddon = waitForSignedAddon;
+
+        return writeState({
+          statusUrl: "/pending-status-url",
+          xpiHash: "hash-of-another-xpi",
+        })
+          .then(() => this.sign({xpiPath}))
+          .then(() => {
+            expect(this.client._request.calls[0].name).to.be.equal("put");
+            expect(waitForSignedAddon.firstCall.args[0])
+              .to.be.equal("/some-status-url");
+          });
+      });
+
+    });
+
+    describe("with version 5 of the API", function() {
+
+      beforeEach(function() {
+        this.client = this.newClient({
+          apiUrlPrefix: "http://not-a-real-amo-api.com/api/v5",
+          logger: {log: () => {}, error: () => {}},
+        });
+        this.client.downloadSignedFiles = sinon.spy(() => when.resolve({
+          success: true,
+          downloadedFiles: ["some-signed-file-1.2.3.xpi"],
+        }));
+        this.submit = (conf) => this.client.sign({
+          guid: "some-guid",
+          version: "1.2.3",
+          xpiPath: "some-xpi-path",
+          channel: "unlisted",
+          ...conf,
+        });
+      });
+
+      function uploadResponse(overrides) {
+        return {
+          responseBody: {
+            uuid: "some-upload-uuid",
+            url: "http://amo/addons/upload/some-upload-uuid/",
+            processed: true,
+            valid: true,
+            validation: {
+              messages: [{type: "warning", message: "Missing update URL"}],
+            },
+            ...overrides,
+          },
+        };
+      }
+
+      function versionResponse(fileStatus, overrides) {
+        return {
+          httpResponse: {statusCode: 201},
+          responseBody: {
+            id: 1234,
+            version: "1.2.3",
+            channel: "unlisted",
+            file: {
+              status: fileStatus,
+              url: "http://amo/some-signed-file-1.2.3.xpi",
+            },
+            ...overrides,
+          },
+        };
+      }
+
+      it("is selected by the API URL prefix", function() {
+        expect(this.client.apiVersion).to.be.equal("v5");
+        expect(this.newClient().apiVersion).to.be.equal("v3");
+        expect(this.newClient({apiVersion: "v5"}).apiVersion)
+          .to.be.equal("v5");
+      });
+
+      it("creates a version from a validated upload", function() {
+        this.client._request = new MockRequest({
+          responseQueue: [
+            uploadResponse({processed: false}),
+            uploadResponse({processed: false}),
+            uploadResponse(),
+            versionResponse("unreviewed"),
+            versionResponse("unreviewed"),
+            versionResponse("public"),
+          ],
+        });
+
+        return this.submit({
+          metadata: {releaseNotes: "Fixes a crash"},
+        }).then((result) => {
+          var calls = this.client._request.calls;
+          expect(calls.map((call) => call.name)).to.be.deep.equal(
+            ["post", "get", "get", "post", "get", "get"]);
+          expect(calls[0].conf.url).to.include("/api/v5/addons/upload/");
+          expect(calls[0].conf.formData.channel).to.be.equal("unlisted");
+          expect(calls[3].conf.url)
+            .to.include("/addons/addon/some-guid/versions/");
+          expect(calls[3].conf.json).to.be.deep.equal({
+            upload: "some-upload-uuid",
+            release_notes: "Fixes a crash",
+          });
+          expect(calls[4].conf.url)
+            .to.include("/addons/addon/some-guid/versions/1234/");
+
+          expect(result.success).to.be.equal(true);
+          expect(result.status).to.be.equal(signingStatus.signed);
+          expect(result.channel).to.be.equal("unlisted");
+          expect(result.validation.warnings[0].message)
+            .to.be.equal("Missing update URL");
+          expect(result.downloadedFiles)
+            .to.be.deep.equal(["some-signed-file-1.2.3.xpi"]);
+          expect(this.client.downloadSignedFiles.firstCall.args[0])
+            .to.be.deep.equal([{
+              signed: true,
+              download_url: "http://amo/some-signed-file-1.2.3.xpi",
+            }]);
+        });
+      });
+
+      it("creates the add-on with its first version", function() {
+        this.client._request = new MockRequest({
+          responseQueue: [
+            uploadResponse(),
+            uploadResponse(),
+            {httpResponse: {statusCode: 404}, responseBody: {}},
+            {
+              httpResponse: {statusCode: 201},
+              responseBody: {
+                id: 987,
+                guid: "some-guid",
+                current_version: null,
+                latest_unlisted_version: versionResponse("public")
+                  .responseBody,
+              },
+            },
+            versionResponse("public"),
+          ],
+        });
+
+        return this.submit().then((result) => {
+          var putCall = this.client._request.calls[3];
+          expect(putCall.name).to.be.equal("put");
+          expect(putCall.conf.url).to.include("/addons/addon/some-guid/");
+          expect(putCall.conf.json)
+            .to.be.deep.equal({version: {upload: "some-upload-uuid"}});
+          expect(this.client._request.calls[4].conf.url)
+            .to.include("/addons/addon/some-guid/versions/1234/");
+          expect(result.status).to.be.equal(signingStatus.signed);
+        });
+      });
+
+      it("finds the first version of a new listed add-on", function() {
+        this.client._request = new MockRequest({
+          responseQueue: [
+            uploadResponse(),
+            uploadResponse(),
+            {httpResponse: {statusCode: 404}, responseBody: {}},
+            {
+              httpResponse: {statusCode: 201},
+              responseBody: {
+                id: 987,
+                guid: "some-guid",
+                current_version: null,
+                latest_unlisted_version: null,
+              },
+            },
+            {
+              responseBody: {
+                next: null,
+                results: [versionResponse("public").responseBody],
+              },
+            },
+            versionResponse("public"),
+          ],
+        });
+
+        return this.submit().then((result) => {
+          expect(this.client._request.calls[4].conf.url)
+            .to.include("/addons/addon/some-guid/versions/?filter=");
+          expect(this.client._request.calls[5].conf.url)
+            .to.include("/addons/addon/some-guid/versions/1234/");
+          expect(result.status).to.be.equal(signingStatus.signed);
+        });
+      });
+
+      it("attaches the source code to the version", function() {
+        this.client._fs.createReadStream =
+          (filePath) => `stream of ${filePath}`;
+        this.client._request = new MockRequest({
+          responseQueue: [
+            uploadResponse(),
+            uploadResponse(),
+            versionResponse("public"),
+            {responseBody: {}},
+            versionResponse("public"),
+          ],
+        });
+
+        return this.submit({sourcePath: "source.zip"}).then(() => {
+          var patchCall = this.client._request.calls[3];
+          expect(patchCall.name).to.be.equal("patch");
+          expect(patchCall.conf.url)
+            .to.include("/addons/addon/some-guid/versions/1234/");
+          expect(patchCall.conf.formData.source)
+            .to.be.equal("stream of source.zip");
+        });
+      });
+
+      it("resolves failed validation", function() {
+        this.client._request = new MockRequest({
+          responseQueue: [
+            uploadResponse(),
+            uploadResponse({
+              valid: false,
+              validation: {
+                messages: [{type: "error", message: "Invalid manifest"}],
+              },
+            }),
+          ],
+        });
+
+        return this.submit().then((result) => {
+          expect(this.client._request.calls.length).to.be.equal(2);
+          expect(result.success).to.be.equal(false);
+          expect(result.status).to.be.equal(signingStatus.failedValidation);
+          expect(result.validation.errors[0].message)
+            .to.be.equal("Invalid manifest");
+        });
+      });
+
+      it("resolves rejected versions", function() {
+        this.client._request = new MockRequest({
+          responseQueue: [
+            uploadResponse(),
+            uploadResponse(),
+            {
+              httpResponse: {statusCode: 400},
+              responseBody: {version: ["Version 1.2.3 already exists."]},
+            },
+          ],
+        });
+
+        return this.submit().then((result) => {
+          expect(result.success).to.be.equal(false);
+          expect(result.status).to.be.equal(signingStatus.serverRejected);
+          expect(result.statusData.version[0]).to.include("already exists");
+          expect(result.versionExists).to.be.equal(true);
+        });
+      });
+
+      it("resolves versions held for a manual review", function() {
+        var abort;
+        this.client._request = new MockRequest({
+          responseQueue: [versionResponse("unreviewed", {channel: "listed"})],
+        });
+
+        return this.client.waitForVersionFile("/some-version-url", {
+          setAbortTimeout: (callback) => {
+            abort = callback;
+          },
+          // Time out once the version has been checked.
+          setStatusCheckTimeout: () => abort(),
+        }).then((result) => {
+          expect(result.success).to.be.equal(false);
+          expect(result.status).to.be.equal(signingStatus.manualReview);
+          expect(result.statusData.file.status).to.be.equal("unreviewed");
+        });
+      });
+
+      it("times out on unlisted versions that are not signed", function() {
+        var abort;
+        this.client._request = new MockRequest({
+          responseQueue: [versionResponse("unreviewed")],
+        });
+
+        return this.client.waitForVersionFile("/some-version-url", {
+          setAbortTimeout: (callback) => {
+            abort = callback;
+          },
+          setStatusCheckTimeout: () => abort(),
+        }).then(() => {
+          throw new Error("unexpected success");
+        }).catch((error) => {
+          expect(error).to.be.instanceof(ValidationTimeoutError);
+          expect(error.lastStatus.file.status).to.be.equal("unreviewed");
+        });
+      });
+
+      it("stops polling when a check ends after the timeout", function() {
+        var finishCheck;
+        var setStatusCheckTimeout = sinon.spy(() => {});
+        this.client.get = () => when.promise((resolve) => {
+          finishCheck = resolve;
+        });
+
+        return this.client.waitForVersionFile("/some-version-url", {
+          // Time out while the first check is under way.
+          setAbortTimeout: (callback) => callback(),
+          setStatusCheckTimeout: setStatusCheckTimeout,
+        }).then(() => {
+          throw new Error("unexpected success");
+        }).catch((error) => {
+          expect(error).to.be.instanceof(ValidationTimeoutError);
+          finishCheck([{statusCode: 200}, versionResponse("unreviewed")
+            .responseBody]);
+          return when().delay(1);
+        }).then(() => {
+          expect(setStatusCheckTimeout.called).to.be.equal(false);
+        });
+      });
+
+      it("waits for a review when configured to", function() {
+        var abort;
+        var checkIntervals = [];
+        this.client.waitForReview = true;
+        this.client._request = new MockRequest({
+          responseQueue: [
+            versionResponse("unreviewed", {channel: "listed"}),
+            versionResponse("unreviewed", {channel: "listed"}),
+            versionResponse("public", {channel: "listed"}),
+          ],
+        });
+
+        return this.client.waitForVersionFile("/some-version-url", {
+          setAbortTimeout: (callback, period) => {
+            if (period !== this.client.reviewTimeout) {
+              abort = callback;
+            }
+          },
+          setStatusCheckTimeout: (check, interval) => {
+            if (abort) {
+              // Time out once the version has been checked.
+              var abortWait = abort;
+              abort = null;
+              return abortWait();
+            }
+            checkIntervals.push(interval);
+            check();
+          },
+        }).then((result) => {
+          expect(checkIntervals).to.be.deep.equal([60000]);
+          expect(result.status).to.be.equal(signingStatus.signed);
+        });
+      });
+
+      it("resolves versions rejected in a review", function() {
+        this.client._request = new MockRequest({
+          responseQueue: [versionResponse("disabled")],
+        });
+
+        return this.client.waitForVersionFile("/some-version-url")
+          .then((result) => {
+            expect(result.status).to.be.equal(signingStatus.reviewRejected);
+          });
+      });
+
+      it("requires a channel", function() {
+        return this.submit({channel: null}).then(() => {
+          throw new Error("unexpected success");
+        }).catch((error) => {
+          expect(error).to.be.instanceof(MissingArgumentError);
+          expect(error.argument).to.be.equal("channel");
+          expect(this.client._request.calls.length).to.be.equal(0);
+        });
+      });
+
+      it("resumes a version by its number", function() {
+        this.client._request = new MockRequest({
+          responseQueue: [
+            versionResponse("unreviewed"),
+            versionResponse("public"),
+          ],
+        });
+
+        return this.client.resume({
+          guid: "some-guid",
+          version: "1.2.3",
+        }).then((result) => {
+          expect(this.client._request.calls[0].conf.url)
+            .to.include("/addons/addon/some-guid/versions/v1.2.3/");
+          expect(result.status).to.be.equal(signingStatus.signed);
+          expect(result.channel).to.be.equal("unlisted");
+          expect(result.validation).to.be.equal(null);
+          expect(result.validationUnavailable).to.be.equal(true);
+        });
+      });
+
+      it("validates without creating a version", function() {
+        this.client._request = new MockRequest({
+          responseQueue: [
+            uploadResponse({processed: false}),
+            uploadResponse(),
+          ],
+        });
+
+        return this.client.validate({xpiPath: "some-xpi-path"})
+          .then((result) => {
+            var calls = this.client._request.calls;
+            expect(calls.map((call) => call.name)).to.be.deep.equal(
+              ["post", "get"]);
+            expect(calls[0].conf.url).to.include("/api/v5/addons/upload/");
+            expect(calls[0].conf.formData.channel).to.be.equal("listed");
+            expect(result.success).to.be.equal(true);
+            expect(result.status).to.be.equal(signingStatus.validated);
+            expect(result.channel).to.be.equal("listed");
+            expect(result.validation.warnings[0].message)
+              .to.be.equal("Missing update URL");
+            expect(result.downloadedFiles).to.be.deep.equal([]);
+          });
+      });
+
+      it("resolves failed validation without a version", function() {
+        this.client._request = new MockRequest({
+          responseQueue: [
+            uploadResponse(),
+            uploadResponse({
+              valid: false,
+              validation: {
+                messages: [{type: "error", message: "Invalid manifest"}],
+              },
+            }),
+          ],
+        });
+
+        return this.client.validate({
+          xpiPath: "some-xpi-path",
+          channel: "unlisted",
+        }).then((result) => {
+          expect(this.client._request.calls.length).to.be.equal(2);
+          expect(this.client._request.calls[0].conf.formData.channel)
+            .to.be.equal("unlisted");
+          expect(result.success).to.be.equal(false);
+          expect(result.status).to.be.equal(signingStatus.failedValidation);
+          expect(result.validation.errors[0].message)
+            .to.be.equal("Invalid manifest");
+        });
+      });
+
+      it("requires version 5 to only validate", function() {
+        var client = this.newClient();
+        client._request = new MockRequest();
+        return client.validate({xpiPath: "some-xpi-path"}).then(() => {
+          throw new Error("unexpected success");
+        }).catch((error) => {
+          expect(error).to.be.instanceof(InvalidArgumentError);
+          expect(error.message).to.include("requires version 5");
+          expect(client._request.calls.length).to.be.equal(0);
+        });
+      });
+
+    });
+
+    describe("waiting for a review", function() {
+      var fakeLog;
+      var checkIntervals;
+
+      beforeEach(function() {
+        fakeLog = {
+          log: sinon.spy(() => {}),
+          error: sinon.spy(() => {}),
+        };
+        checkIntervals = [];
+        this.client = this.newClient({
+          waitForReview: true,
+          reviewCheckInterval: 100,
+          maxReviewCheckInterval: 300,
+          reviewTimeout: 5000,
+          logger: fakeLog,
+        });
+        this.client.downloadSignedFiles = () => when.resolve({
+          success: true,
+          downloadedFiles: ["some-signed-file-1.2.3.xpi"],
+        });
+        this.waitForReview = (options) => {
+          return this.client.waitForSignedAddon("/some-status-url", {
+            setAbortTimeout: () => {},
+            setStatusCheckTimeout: (check, interval) => {
+              checkIntervals.push(interval);
+              check();
+            },
+            ...options,
+          });
+        };
+      });
+
+      function heldResponse(overrides) {
+        return signedResponse({
+          automated_signing: false,
+          active: false,
+          reviewed: false,
+          files: [],
+          ...overrides,
+        });
+      }
+
+      it("polls until the add-on is reviewed", function() {
+        this.client._request = new MockRequest({
+          responseQueue: [
+            heldResponse({processed: false}),
+            heldResponse(),
+            heldResponse(),
+            heldResponse(),
+            heldResponse(),
+            signedResponse({automated_signing: false, passed_review: true}),
+          ],
+        });
+
+        return this.waitForReview().then((result) => {
+          expect(this.client._request.calls.length).to.be.equal(6);
+          expect(checkIntervals).to.be.deep.equal([0, 100, 200, 300, 300]);
+          expect(result.success).to.be.equal(true);
+          expect(result.status).to.be.equal(signingStatus.signed);
+          expect(result.downloadedFiles)
+            .to.be.deep.equal(["some-signed-file-1.2.3.xpi"]);
+        });
+      });
+
+      it("logs the time spent waiting", function() {
+        var now = 0;
+        this.client.reviewCheckInterval = 600000;
+        this.client.maxReviewCheckInterval = 3600000;
+        this.client._request = new MockRequest({
+          responseQueue: [
+            heldResponse(),
+            heldResponse(),
+            signedResponse({automated_signing: false}),
+          ],
+        });
+
+        return this.waitForReview({
+          now: () => now,
+          setStatusCheckTimeout: (check) => {
+            now += 2 * 3600000;
+            check();
+          },
+        }).then(() => {
+          var messages = fakeLog.log.args.map((args) => args.join(" "));
+          expect(messages).to.include(
+            "Still waiting for a review after 2h 0m; checking again in 20m");
+        });
+      });
+
+      it("resolves when a reviewer rejects the add-on", function() {
+        this.client._request = new MockRequest({
+          responseQueue: [
+            heldResponse(),
+            heldResponse({reviewed: true, passed_review: false}),
+          ],
+        });
+
+        return this.waitForReview().then((result) => {
+          expect(result.success).to.be.equal(false);
+          expect(result.status).to.be.equal(signingStatus.reviewRejected);
+        });
+      });
+
+      it("gives up after the review timeout", function() {
+        this.client._request = new MockRequest({
+          responseQueue: [heldResponse()],
+        });
+
+        return this.waitForReview({
+          setAbortTimeout: (abort, period) => {
+            if (period === 5000) {
+              abort();
+            }
+          },
+          setStatusCheckTimeout: () => {},
+        }).then(() => {
+          throw new Error("unexpected success");
+        }).catch((error) => {
+          expect(error).to.be.instanceof(ReviewTimeoutError);
+          expect(error).to.be.instanceof(ValidationTimeoutError);
+          expect(error.message).to.include("not reviewed within 5s");
+          expect(error.lastStatus.automated_signing).to.be.equal(false);
+        });
+      });
+
+      it("stops at a manual review by default", function() {
+        this.client.waitForReview = false;
+        this.client._request = new MockRequest({
+          responseQueue: [heldResponse()],
+        });
+
+        return this.waitForReview().then((result) => {
+          expect(result.status).to.be.equal(signingStatus.manualReview);
+        });
+      });
+
+    });
+  });
+
+
+  describe("listing versions", function() {
+
+    beforeEach(function() {
+      setUp.call(this);
+    });
+
+    it("requests all the pages of versions", function() {
+      this.client._request = new MockRequest({
+        responseQueue: [
+          {
+            responseBody: {
+              next: "http://amo/addons/addon/some-guid/versions/?page=2",
+              results: [{id: 2, version: "1.1"}],
+            },
+          },
+          {
+            responseBody: {
+              next: null,
+              results: [{id: 1, version: "1.0"}],
+            },
+          },
+        ],
+      });
+
+      return this.client.listVersions("some-guid").then((versions) => {
+        var calls = this.client._request.calls;
+        expect(calls[0].conf.url).to.include(
+          "/api/v3/addons/addon/some-guid/versions/" +
+          "?filter=all_with_unlisted");
+        expect(calls[1].conf.url).to.be.equal(
+          "http://amo/addons/addon/some-guid/versions/?page=2");
+        expect(versions.map((found) => found.version))
+          .to.be.deep.equal(["1.1", "1.0"]);
+        expect(versions[0].id).to.be.equal(2);
+      });
+    });
+
+    it("normalizes the versions", function() {
+      this.client._request = new MockRequest({
+        responseBody: {
+          next: null,
+          results: [{
+            id: 2,
+            version: "1.1",
+            channel: "unlisted",
+            file: {
+              id: 20,
+              status: "public",
+              url: "http://amo/some-file-1.1.xpi",
+              hash: "sha256:abc",
+              size: 1024,
+            },
+          }],
+        },
+      });
+
+      return this.client.listVersions("some-guid").then((versions) => {
+        expect(versions).to.be.deep.equal([{
+          id: 2,
+          version: "1.1",
+          channel: "unlisted",
+          signed: true,
+          files: [{
+            id: 20,
+            url: "http://amo/some-file-1.1.xpi",
+            hash: "sha256:abc",
+            size: 1024,
+            status: "public",
+            signed: true,
+          }],
+        }]);
+      });
+    });
+
+    it("resolves with no versions for a new add-on", function() {
+      this.client._request = new MockRequest({
+        httpResponse: {statusCode: 404},
+        responseBody: {detail: "Not found."},
+      });
+
+      return this.client.listVersions("some-guid").then((versions) => {
+        expect(versions).to.be.deep.equal([]);
+      });
+    });
+
+    it("rejects bad responses", function() {
+      this.client._request = new MockRequest({
+        httpResponse: {statusCode: 403},
+        responseBody: {detail: "Permission denied."},
+      });
+
+      return this.client.listVersions("some-guid").then(() => {
+        throw new Error("unexpected success");
+      }).catch((error) => {
+        expect(error).to.be.instanceof(AuthenticationError);
+        expect(error.message).to.include(
+          "while listing the versions of some-guid; status: 403");
+      });
+    });
+
+  });
+
+
+  describe("querying add-ons and versions", function() {
+
+    beforeEach(function() {
+      setUp.call(this);
+    });
+
+    it("gets an add-on", function() {
+      this.client._request = new MockRequest({
+        responseBody: {
+          id: 123,
+          guid: "some-guid",
+          slug: "some-addon",
+          name: {"de": "Ein Add-on", "en-US": "Some add-on"},
+          status: "public",
+          url: "https://addons.mozilla.org/addon/some-addon/",
+          current_version: {id: 2, version: "1.1"},
+        },
+      });
+
+      return this.client.getAddon("some-guid").then((addon) => {
+        expect(this.client._request.calls[0].conf.url)
+          .to.include("/api/v3/addons/addon/some-guid/");
+        expect(addon).to.be.deep.equal({
+          id: 123,
+          guid: "some-guid",
+          slug: "some-addon",
+          name: "Some add-on",
+          status: "public",
+          url: "https://addons.mozilla.org/addon/some-addon/",
+          currentVersion: "1.1",
+        });
+      });
+    });
+
+    it("resolves with null for add-ons that do not exist", function() {
+      this.client._request = new MockRequest({
+        httpResponse: {statusCode: 404},
+        responseBody: {detail: "Not found."},
+      });
+
+      return this.client.getAddon("some-guid").then((addon) => {
+        expect(addon).to.be.equal(null);
+      });
+    });
+
+    it("gets a version and its files", function() {
+      this.client._request = new MockRequest({
+        responseBody: {
+          guid: "some-guid",
+          version: "1.0",
+          pk: "some-pk",
+          processed: true,
+          valid: true,
+          files: [{
+            signed: true,
+            download_url: "http://amo/some-file-1.0.xpi",
+            hash: "sha256:abc",
+          }],
+        },
+      });
+
+      return this.client.getVersion("some-guid", "1.0").then((version) => {
+        expect(this.client._request.calls[0].conf.url)
+          .to.include("/api/v3/addons/some-guid/versions/1.0/");
+        expect(version).to.be.deep.equal({
+          id: "some-pk",
+          version: "1.0",
+          channel: null,
+          signed: true,
+          files: [{
+            id: null,
+            url: "http://amo/some-file-1.0.xpi",
+            hash: "sha256:abc",
+            size: null,
+            status: null,
+            signed: true,
+          }],
+        });
+        return this.client.getVersionFiles("some-guid", "1.0");
+      }).then((files) => {
+        expect(files.map((file) => file.url))
+          .to.be.deep.equal(["http://amo/some-file-1.0.xpi"]);
+      });
+    });
+
+    it("gets a version by its number with version 5", function() {
+      var client = this.newClient({apiVersion: "v5"});
+      client._request = new MockRequest({
+        responseBody: {
+          id: 2,
+          version: "1.1",
+          channel: "listed",
+          file: {id: 20, status: "unreviewed", url: "http://amo/some.xpi"},
+        },
+      });
+
+      return client.getVersion("some-guid", "1.1").then((version) => {
+        expect(client._request.calls[0].conf.url)
+          .to.include("/addons/addon/some-guid/versions/v1.1/");
+        expect(version.signed).to.be.equal(false);
+        expect(version.files[0].status).to.be.equal("unreviewed");
+      });
+    });
+
+    it("has no files for versions that do not exist", function() {
+      this.client._request = new MockRequest({
+        httpResponse: {statusCode: 404},
+        responseBody: {detail: "Not found."},
+      });
+
+      return this.client.getVersion("some-guid", "1.0").then((version) => {
+        expect(version).to.be.equal(null);
+        return this.client.getVersionFiles("some-guid", "1.0");
+      }).then((files) => {
+        expect(files).to.be.deep.equal([]);
+      });
+    });
+
+  });
+
+  describe("verifying credentials", function() {
+
+    var now = () => Date.parse("Wed, 19 Oct 2016 09:30:00 GMT");
+
+    beforeEach(function() {
+      setUp.call(this);
+    });
+
+    function expectRejection(client) {
+      return client.verifyCredentials({now}).then(() => {
+        throw new Error("unexpected success");
+      }).catch((error) => {
+        expect(error).to.be.instanceof(AuthenticationError);
+        return error;
+      });
+    }
+
+    function rejectedResponse({detail, date="Wed, 19 Oct 2016 09:30:02 GMT",
+                               statusCode=401}) {
+      return new MockRequest({
+        httpResponse: {statusCode, headers: {date}},
+        responseBody: {detail},
+      });
+    }
+
+    it("resolves with the account of the credentials", function() {
+      this.client._request = new MockRequest({
+        responseBody: {id: 123, username: "some-user", name: "Some User"},
+      });
+
+      return this.client.verifyCredentials({now}).then((account) => {
+        var call = this.client._request.calls[0];
+        expect(call.name).to.be.equal("get");
+        expect(call.conf.url).to.include("/api/v3/accounts/profile/");
+        expect(call.conf.headers.Authorization).to.include("JWT ");
+        expect(account).to.be.deep.equal({
+          id: 123,
+          username: "some-user",
+          name: "Some User",
+        });
+      });
+    });
+
+    it("explains unknown API keys", function() {
+      this.client._request = rejectedResponse({
+        detail: "Unknown JWT iss (issuer).",
+      });
+
+      return expectRejection(this.client).then((error) => {
+        expect(error.reason).to.be.equal("unknownKey");
+        expect(error.status).to.be.equal(401);
+        expect(error.message)
+          .to.include("the API key fake-api-key is unknown");
+      });
+    });
+
+    it("explains bad signatures", function() {
+      this.client._request = rejectedResponse({
+        detail: "Signature verification failed.",
+      });
+
+      return expectRejection(this.client).then((error) => {
+        expect(error.reason).to.be.equal("badSignature");
+        expect(error.message).to.include("check that the API secret");
+      });
+    });
+
+    it("explains expired tokens", function() {
+      this.client._request = rejectedResponse({
+        detail: "Signature has expired.",
+      });
+
+      return expectRejection(this.client).then((error) => {
+        expect(error.reason).to.be.equal("expiredToken");
+      });
+    });
+
+    it("explains clocks that are off", function() {
+      this.client._request = rejectedResponse({
+        detail: "Signature has expired.",
+        date: "Wed, 19 Oct 2016 09:25:00 GMT",
+      });
+
+      return expectRejection(this.client).then((error) => {
+        expect(error.reason).to.be.equal("clockSkew");
+        expect(error.message).to.include(
+          "the clock of this computer is 300 seconds ahead of the server");
+      });
+    });
+
+    it("explains tokens issued in the future", function() {
+      this.client._request = rejectedResponse({
+        detail: "JWT iat (issued at time) is invalid.",
+      });
+
+      return expectRejection(this.client).then((error) => {
+        expect(error.reason).to.be.equal("clockSkew");
+      });
+    });
+
+    it("passes on other reasons", function() {
+      this.client._request = rejectedResponse({
+        detail: "You do not have permission to perform this action.",
+        statusCode: 403,
+      });
+
+      return expectRejection(this.client).then((error) => {
+        expect(error.reason).to.be.equal(null);
+        expect(error.status).to.be.equal(403);
+        expect(error.message).to.include("You do not have permission");
+      });
+    });
+
+    it("rejects other bad responses", function() {
+      this.client._request = new MockRequest({
+        httpResponse: {statusCode: 500},
+        responseBody: "Internal error",
+      });
+      this.client.maxRetries = 0;
+
+      return this.client.verifyCredentials({now}).then(() => {
+        throw new Error("unexpected success");
+      }).catch((error) => {
+        expect(error).to.not.be.instanceof(AuthenticationError);
+        expect(error).to.be.instanceof(ServerError);
+        expect(error.message).to.include("verifying the API credentials");
+      });
+    });
+
+  });
+
+  describe("downloading versions that are already signed", function() {
+
+    beforeEach(function() {
+      setUp.call(this);
+      this.tempFiles = [];
+      this.mkdtemp = sinon.spy(
+        (prefix, callback) => callback(null, prefix + "abc123"));
+      this.unlink = sinon.spy((filePath, callback) => callback());
+      this.rename = sinon.spy((source, destination, callback) => callback());
+      this.rmdir = sinon.spy((dirPath, callback) => callback());
+      this.client = this.newClient({
+        fs: {
+          mkdtemp: this.mkdtemp,
+          readdir: (dirPath, callback) => callback(null, this.tempFiles),
+          unlink: this.unlink,
+          rename: this.rename,
+          rmdir: this.rmdir,
+        },
+        logger: {log: () => {}, error: () => {}},
+        downloadDir: "/some/download-dir",
+      });
+      this.client.downloadSignedFiles = sinon.spy(() => when.resolve({
+        success: true,
+        downloadedFiles: [tempFilePath],
+      }));
+      this.downloadIfSigned = ({hashes}) => {
+        return this.client.downloadIfSigned({
+          guid: "some-guid",
+          version: "1.0",
+          xpiPath: "some-xpi-path",
+        }, {
+          hashXpiContents: (filePath) => when.resolve(hashes[filePath]),
+          tempDir: "/some/temp-dir",
+        });
+      };
+    });
+
+    var tempDirPath = path.join("/some/temp-dir", "sign-addon-abc123");
+    var tempFilePath = path.join(tempDirPath, "some-signed-file.xpi");
+
+    var signedStatus = {
+      valid: true,
+      active: true,
+      reviewed: true,
+      processed: true,
+      channel: "unlisted",
+      files: [{signed: true, download_url: "http://amo/some-signed-file.xpi"}],
+      validation_results: {messages: []},
+    };
+
+    it("downloads the files signed from the same XPI", function() {
+      this.client._request = new MockRequest({responseBody: signedStatus});
+
+      return this.downloadIfSigned({
+        hashes: {
+          "some-xpi-path": "abc",
+          [tempFilePath]: "abc",
+        },
+      }).then((result) => {
+        expect(this.client._request.calls[0].conf.url)
+          .to.include("/api/v3/addons/some-guid/versions/1.0/");
+        expect(this.mkdtemp.firstCall.args[0])
+          .to.be.equal(path.join("/some/temp-dir", "sign-addon-"));
+        expect(this.client.downloadSignedFiles.firstCall.args)
+          .to.be.deep.equal([signedStatus.files, {
+            downloadDir: tempDirPath,
+            listDownloads: false,
+          }]);
+        expect(result.success).to.be.equal(true);
+        expect(result.status).to.be.equal(signingStatus.signed);
+        expect(result.alreadySigned).to.be.equal(true);
+        expect(result.channel).to.be.equal("unlisted");
+        expect(this.rename.firstCall.args.slice(0, 2)).to.be.deep.equal([
+          tempFilePath,
+          path.join("/some/download-dir", "some-signed-file.xpi"),
+        ]);
+        expect(result.downloadedFiles).to.be.deep.equal([
+          path.join("/some/download-dir", "some-signed-file.xpi"),
+        ]);
+        expect(result.validation).to.be.deep.equal({
+          errors: [],
+          warnings: [],
+          notices: [],
+        });
+        expect(this.unlink.called).to.be.equal(false);
+        expect(this.rmdir.firstCall.args[0]).to.be.equal(tempDirPath);
+      });
+    });
+
+    it("passes the warnings policy of a clean signed version", function() {
+      this.client._request = new MockRequest({responseBody: signedStatus});
+
+      return this.downloadIfSigned({
+        hashes: {
+          "some-xpi-path": "abc",
+          [tempFilePath]: "abc",
+        },
+      }).then((result) => {
+        result = applyWarningsPolicy(result, {failOnWarnings: true});
+        expect(result.success).to.be.equal(true);
+        expect(result.status).to.be.equal(signingStatus.signed);
+      });
+    });
+
+    it("removes the files signed from a different XPI", function() {
+      this.tempFiles = ["some-signed-file.xpi"];
+      this.client._request = new MockRequest({responseBody: signedStatus});
+
+      return this.downloadIfSigned({
+        hashes: {
+          "some-xpi-path": "abc",
+          [tempFilePath]: "def",
+        },
+      }).then((result) => {
+        expect(result).to.be.equal(null);
+        expect(this.unlink.firstCall.args[0]).to.be.equal(tempFilePath);
+        expect(this.rename.called).to.be.equal(false);
+        expect(this.rmdir.firstCall.args[0]).to.be.equal(tempDirPath);
+      });
+    });
+
+    it("removes the temporary directory when downloading fails", function() {
+      this.client._request = new MockRequest({responseBody: signedStatus});
+      this.client.downloadSignedFiles = () => when.reject(
+        new Error("some download error"));
+
+      return this.downloadIfSigned({hashes: {}}).then(() => {
+        throw new Error("unexpected success");
+      }).catch((error) => {
+        expect(error.message).to.be.equal("some download error");
+        expect(this.rmdir.firstCall.args[0]).to.be.equal(tempDirPath);
+      });
+    });
+
+    it("copies the files it cannot rename", function() {
+      var tempDir = path.join(os.tmpdir(), `sign-addon-test-${Date.now()}`);
+      var downloadDir = path.join(tempDir, "downloads");
+      var downloadedFile = path.join(downloadDir, "some-signed-file.xpi");
+      var client = this.newClient({
+        fs: {
+          ...fs,
+          rename: (source, destination, callback) => {
+            callback({code: "EXDEV"});
+          },
+        },
+        logger: {log: () => {}, error: () => {}},
+        downloadDir,
+      });
+      client.downloadSignedFiles = (signedFiles, options) => {
+        var tempFile = path.join(options.downloadDir, "some-signed-file.xpi");
+        return fs.writeFile(tempFile, "signed").then(() => ({
+          success: true,
+          downloadedFiles: [tempFile],
+        }));
+      };
+      client._request = new MockRequest({responseBody: signedStatus});
+
+      return when(fs.mkdir(tempDir))
+        .then(() => fs.mkdir(downloadDir))
+        .then(() => client.downloadIfSigned({
+          guid: "some-guid",
+          version: "1.0",
+          xpiPath: "some-xpi-path",
+        }, {
+          hashXpiContents: () => when.resolve("abc"),
+          tempDir,
+        }))
+        .then((result) => {
+          expect(result.downloadedFiles).to.be.deep.equal([downloadedFile]);
+          return fs.readFile(downloadedFile, "utf8");
+        })
+        .then((contents) => {
+          expect(contents).to.be.equal("signed");
+          return fs.readdir(tempDir);
+        })
+        .then((names) => {
+          // The temporary directory was removed with the original file.
+          expect(names).to.be.deep.equal(["downloads"]);
+        })
+        .finally(() => {
+          return when(fs.unlink(downloadedFile))
+            .then(() => fs.rmdir(downloadDir))
+            .then(() => fs.rmdir(tempDir))
+            .catch(() => {});
+        });
+    });
+
+    it("resolves with null for new versions", function() {
+      this.client._request = new MockRequest({
+        httpResponse: {statusCode: 404},
+        responseBody: {detail: "Not found."},
+      });
+
+      return this.downloadIfSigned({hashes: {}}).then((result) => {
+        expect(result).to.be.equal(null);
+        expect(this.client.downloadSignedFiles.called).to.be.equal(false);
+      });
+    });
+
+    it("resolves with null for versions that are not signed", function() {
+      this.client._request = new MockRequest({
+        responseBody: {...signedStatus, reviewed: false},
+      });
+
+      return this.downloadIfSigned({hashes: {}}).then((result) => {
+        expect(result).to.be.equal(null);
+        expect(this.client.downloadSignedFiles.called).to.be.equal(false);
+      });
+    });
+
+    it("downloads the signed file of a version 5 version", function() {
+      this.client.apiVersion = "v5";
+      this.client._request = new MockRequest({
+        responseBody: {
+          id: 1234,
+          version: "1.0",
+          file: {status: "public", url: "http://amo/some-signed-file.xpi"},
+        },
+      });
+
+      return this.downloadIfSigned({
+        hashes: {
+          "some-xpi-path": "abc",
+          [tempFilePath]: "abc",
+        },
+      }).then((result) => {
+        expect(this.client._request.calls[0].conf.url)
+          .to.include("/addons/addon/some-guid/versions/v1.0/");
+        expect(this.client.downloadSignedFiles.firstCall.args[0])
+          .to.be.deep.equal([{
+            signed: true,
+            download_url: "http://amo/some-signed-file.xpi",
+          }]);
+        expect(result.alreadySigned).to.be.equal(true);
+      });
+    });
+
+    it("rejects bad responses", function() {
+      this.client._request = new MockRequest({
+        httpResponse: {statusCode: 500},
+        responseBody: "Server Error",
+      });
+
+      return this.downloadIfSigned({hashes: {}}).then(() => {
+        throw new Error("unexpected success");
+      }).catch((error) => {
+        expect(error).to.be.instanceof(ServerError);
+        expect(error.message).to.include(
+          "checking whether version 1.0 of some-guid is signed");
+      });
+    });
+
+  });
+
+  describe("debugging", function() {
+    var fakeLog;
+
+    beforeEach(function() {
+      fakeLog = {
+        log: sinon.spy(() => {}),
+      };
+    });
+
+    it("can be configured for debug output", function() {
+      var cli = new amoClient.Client({
+        debugLogging: true,
+        logger: fakeLog,
+      });
+      cli.debug("first", "second");
+      expect(fakeLog.log.firstCall.args[0]).to.be.equal("first");
+      expect(fakeLog.log.firstCall.args[1]).to.be.equal("second");
+    });
+
+    it("hides debug output by default", function() {
+      var cli = new amoClient.Client({
+        logger: fakeLog,
+      });
+      cli.debug("first", "second");
+      expect(fakeLog.log.called).to.be.equal(false);
+    });
+
+    it("redacts authorization headers", function() {
+      var cli = new amoClient.Client({
+        debugLogging: true,
+        logger: fakeLog,
+      });
+      cli.debug("prefix", {
+        request: {
+          headers: {
+            Authorization: "JWT abcdeabcde...",
+          },
+        },
+      });
+      expect(fakeLog.log.firstCall.args[1].request.headers.Authorization)
+        .to.be.equal("<REDACTED>");
+    });
+
+    it("redacts set-cookie headers", function() {
+      var cli = new amoClient.Client({
+        debugLogging: true,
+        logger: fakeLog,
+      });
+      cli.debug("prefix", {
+        response: {
           headers: {
             "set-cookie": ["foo=bar"],
           },
@@ -563,10 +2409,17 @@ describe("amoClient.Client", function() {
 
     it("lets you configure a request directly", function() {
       var conf = this.client.configureRequest({url: "/path"});
-      expect(conf).to.have.keys(["headers", "url"]);
+      expect(conf).to.have.keys(["headers", "timeout", "url"]);
       expect(conf.headers).to.have.keys(["Accept", "Authorization"]);
     });
 
+    it("sets a timeout on requests", function() {
+      expect(this.client.configureRequest({url: "/path"}).timeout)
+        .to.be.equal(120000);
+      expect(this.client.configureRequest({url: "/path", timeout: 5})
+        .timeout).to.be.equal(5);
+    });
+
     it("preserves request headers", function() {
       var headers = {"X-Custom": "thing"};
       var conf = this.client.configureRequest({
@@ -627,6 +2480,31 @@ describe("amoClient.Client", function() {
       });
     });
 
+    it("rejects bad responses with a server error", function() {
+      this.client._request = new MockRequest({
+        httpResponse: {statusCode: 404, headers: {"x-custom": "thing"}},
+        responseBody: "not found",
+      });
+      return this.client.get({url: "/something"}).then(function() {
+        throw new Error("unexpected success");
+      }).catch(function(err) {
+        expect(err).to.be.instanceof(ServerError);
+        expect(err.status).to.be.equal(404);
+        expect(err.headers).to.be.deep.equal({"x-custom": "thing"});
+        expect(err.body).to.be.equal("not found");
+      });
+    });
+
+    it("rejects forbidden requests with an authentication error", function() {
+      this.client._request = new MockRequest({httpResponse: {statusCode: 403}});
+      return this.client.get({url: "/something"}).then(function() {
+        throw new Error("unexpected success");
+      }).catch(function(err) {
+        expect(err).to.be.instanceof(AuthenticationError);
+        expect(err.status).to.be.equal(403);
+      });
+    });
+
     it("rejects the request promise on < 200 responses", function() {
       this.client._request = new MockRequest({httpResponse: {statusCode: 122}});
       return this.client.get({url: "/something"}).then(function() {
@@ -713,6 +2591,351 @@ describe("amoClient.Client", function() {
         expect(result).to.be.a("string");
       });
     });
+
+    it("rejects bad responses with their parsed JSON body", function() {
+      this.client._request = new MockRequest({
+        responseBody: JSON.stringify({detail: "Not found."}),
+        httpResponse: {
+          statusCode: 404,
+          headers: {
+            "content-type": "application/json",
+          },
+        },
+      });
+
+      return this.client.get({url: "/something"}).then(() => {
+        throw new Error("unexpected success");
+      }).catch((error) => {
+        expect(error).to.be.instanceof(ServerError);
+        expect(error.body).to.be.deep.equal({detail: "Not found."});
+        expect(error.message).to.include('"detail":"Not found."');
+      });
+    });
+  });
+
+
+  describe("retries", function() {
+    var retryDelays;
+
+    beforeEach(function() {
+      setUp.call(this);
+      retryDelays = [];
+      this.client = this.newClient({
+        retryDelay: 100,
+        setRetryTimeout: (callback, delay) => {
+          retryDelays.push(delay);
+          callback();
+        },
+      });
+    });
+
+    function connectionError() {
+      var error = new Error("socket hang up");
+      error.code = "ECONNRESET";
+      return error;
+    }
+
+    it("retries requests that time out", function() {
+      var timeoutError = new Error("ESOCKETTIMEDOUT");
+      timeoutError.code = "ESOCKETTIMEDOUT";
+      this.client.requestTimeout = 30000;
+      this.client._request = new MockRequest({
+        responseQueue: [
+          {responseError: timeoutError},
+          {httpResponse: {statusCode: 200}, responseBody: "ok"},
+        ],
+      });
+
+      return this.client.get({url: "/something"}).then((responseResult) => {
+        expect(responseResult[1]).to.be.equal("ok");
+        expect(this.client._request.calls.length).to.be.equal(2);
+        expect(this.client._request.calls[0].conf.timeout)
+          .to.be.equal(30000);
+      });
+    });
+
+    it("retries requests when the server is unavailable", function() {
+      this.client._request = new MockRequest({
+        responseQueue: [
+          {httpResponse: {statusCode: 503}},
+          {httpResponse: {statusCode: 502}},
+          {httpResponse: {statusCode: 200}, responseBody: "ok"},
+        ],
+      });
+
+      return this.client.get({url: "/something"}).then((responseResult) => {
+        expect(responseResult[1]).to.be.equal("ok");
+        expect(this.client._request.calls.length).to.be.equal(3);
+      });
+    });
+
+    it("retries requests after connection errors", function() {
+      this.client._request = new MockRequest({
+        responseQueue: [
+          {responseError: connectionError()},
+          {httpResponse: {statusCode: 200}, responseBody: "ok"},
+        ],
+      });
+
+      return this.client.get({url: "/something"}).then((responseResult) => {
+        expect(responseResult[1]).to.be.equal("ok");
+        expect(this.client._request.calls.length).to.be.equal(2);
+      });
+    });
+
+    it("backs off exponentially with jitter", function() {
+      this.client._request = new MockRequest({
+        httpResponse: {statusCode: 504},
+      });
+
+      return this.client.get({url: "/something"}).then(() => {
+        throw new Error("unexpected success");
+      }).catch((err) => {
+        expect(err.message).to.include("Received bad response");
+        expect(err.message).to.include("status: 504");
+        // The first attempt and 3 retries.
+        expect(this.client._request.calls.length).to.be.equal(4);
+        expect(retryDelays.length).to.be.equal(3);
+        [100, 200, 400].forEach((maxDelay, i) => {
+          expect(retryDelays[i]).to.be.within(maxDelay / 2, maxDelay);
+        });
+      });
+    });
+
+    it("can be configured not to retry", function() {
+      var client = this.newClient({
+        maxRetries: 0,
+        request: new MockRequest({httpResponse: {statusCode: 503}}),
+      });
+
+      return client.get({url: "/something"}, {
+        throwOnBadResponse: false,
+      }).then((responseResult) => {
+        expect(responseResult[0].statusCode).to.be.equal(503);
+        expect(client._request.calls.length).to.be.equal(1);
+      });
+    });
+
+    it("does not retry other bad responses", function() {
+      this.client._request = new MockRequest({
+        httpResponse: {statusCode: 500},
+      });
+
+      return this.client.get({url: "/something"}).then(() => {
+        throw new Error("unexpected success");
+      }).catch((err) => {
+        expect(err.message).to.include("Received bad response");
+        expect(this.client._request.calls.length).to.be.equal(1);
+      });
+    });
+
+    it("does not retry other errors", function() {
+      var callbackError = new Error("some error");
+      this.client._request = new MockRequest({responseError: callbackError});
+
+      return this.client.get({url: "/something"}).then(() => {
+        throw new Error("unexpected success");
+      }).catch((err) => {
+        expect(err).to.be.equal(callbackError);
+        expect(this.client._request.calls.length).to.be.equal(1);
+      });
+    });
+
+    it("re-opens the XPI when retrying an upload", function() {
+      var createReadStream = sinon.spy(() => "fake-read-stream");
+      var client = this.newClient({
+        fs: {createReadStream},
+        setRetryTimeout: (callback) => callback(),
+        request: new MockRequest({
+          responseQueue: [
+            {responseError: connectionError()},
+            {
+              httpResponse: {statusCode: 202},
+              responseBody: {url: "/some-status-url"},
+            },
+          ],
+        }),
+      });
+      client.waitForSignedAddon = sinon.spy(() => {});
+
+      return client.sign({
+        guid: "some-guid",
+        version: "some-version",
+        xpiPath: "some-xpi-path",
+      }).then(() => {
+        expect(createReadStream.callCount).to.be.equal(2);
+        expect(client._request.calls[1].conf.formData.upload)
+          .to.be.equal("fake-read-stream");
+        expect(client.waitForSignedAddon.called).to.be.equal(true);
+      });
+    });
+
+    it("retries downloads", function() {
+      var responses = [503, 200];
+      var unlink = sinon.spy((filePath, callback) => callback());
+      var output = [];
+      this.client._fs = {unlink};
+      var fakeRequest = sinon.spy(() => {
+        var statusCode = responses.shift();
+        return {
+          on: function(event, handler) {
+            if (event === "response") {
+              handler({statusCode, headers: {"content-length": "4"}});
+            }
+            if (event === "data") {
+              handler("body");
+            }
+            return this;
+          },
+          pipe: function(out) {
+            return out;
+          },
+          abort: sinon.spy(() => {}),
+        };
+      });
+      var createWriteStream = sinon.spy(() => ({
+        on: function(event, handler) {
+          if (event === "finish") {
+            handler();
+          }
+          if (event === "close") {
+            this.onClose = handler;
+          }
+          return this;
+        },
+        destroy: sinon.spy(function() {
+          this.onClose();
+        }),
+      }));
+      var files = [{
+        signed: true,
+        download_url: "http://amo/some-signed-file-1.2.3.xpi",
+      }];
+
+      return this.client.downloadSignedFiles(files, {
+        request: fakeRequest,
+        createWriteStream,
+        stdout: {
+          write: (text) => output.push(text),
+        },
+      }).then((result) => {
+        expect(result.success).to.be.equal(true);
+        expect(fakeRequest.callCount).to.be.equal(2);
+        expect(retryDelays.length).to.be.equal(1);
+        // The error page of the first attempt was not kept.
+        expect(fakeRequest.firstCall.returnValue.abort.called)
+          .to.be.equal(true);
+        expect(createWriteStream.firstCall.returnValue.destroy.called)
+          .to.be.equal(true);
+        expect(unlink.callCount).to.be.equal(1);
+        // Only the progress of the second attempt was counted, and the
+        // progress line was ended once.
+        expect(output.filter((text) => text === "\n").length)
+          .to.be.equal(1);
+        expect(output[output.length - 2]).to.include("100%");
+      });
+    });
+
+    it("retries rate limited requests when the server allows", function() {
+      this.client._request = new MockRequest({
+        responseQueue: [
+          {
+            httpResponse: {
+              statusCode: 429,
+              headers: {"retry-after": "2"},
+            },
+          },
+          {httpResponse: {statusCode: 200}, responseBody: "ok"},
+        ],
+      });
+
+      return this.client.get({url: "/something"}).then((responseResult) => {
+        expect(responseResult[1]).to.be.equal("ok");
+        expect(retryDelays).to.be.deep.equal([2000]);
+      });
+    });
+
+    it("fails when the rate limit wait is too long", function() {
+      this.client._request = new MockRequest({
+        httpResponse: {
+          statusCode: 429,
+          headers: {"retry-after": "120"},
+        },
+      });
+
+      return this.client.get({url: "/something"}, {
+        throwOnBadResponse: false,
+      }).then(() => {
+        throw new Error("unexpected success");
+      }).catch((err) => {
+        expect(err).to.be.instanceof(RateLimitError);
+        expect(err.message).to.include("retry after 120 seconds");
+        expect(err.retryAfter).to.be.equal(120000);
+        expect(this.client._request.calls.length).to.be.equal(1);
+      });
+    });
+
+    it("fails when requests are still rate limited", function() {
+      this.client._request = new MockRequest({
+        httpResponse: {statusCode: 429},
+      });
+
+      return this.client.get({url: "/something"}).then(() => {
+        throw new Error("unexpected success");
+      }).catch((err) => {
+        expect(err).to.be.instanceof(RateLimitError);
+        expect(err.retryAfter).to.be.equal(null);
+        expect(this.client._request.calls.length).to.be.equal(4);
+        // Without a Retry-After header, the usual back off is used.
+        expect(retryDelays[2]).to.be.within(200, 400);
+      });
+    });
+
+    it("reports rate limited uploads", function() {
+      var client = this.newClient({
+        maxRateLimitWait: 1000,
+        request: new MockRequest({
+          httpResponse: {
+            statusCode: 429,
+            headers: {"retry-after": "60"},
+          },
+          responseBody: {error: "Request was throttled."},
+        }),
+      });
+
+      return client.sign({
+        guid: "some-guid",
+        version: "some-version",
+        xpiPath: "some-xpi-path",
+      }).then(() => {
+        throw new Error("unexpected success");
+      }).catch((err) => {
+        expect(err).to.be.instanceof(RateLimitError);
+      });
+    });
+
+    it("logs attempts", function() {
+      var fakeLog = {log: sinon.spy(() => {})};
+      var client = this.newClient({
+        debugLogging: true,
+        logger: fakeLog,
+        setRetryTimeout: (callback) => callback(),
+        request: new MockRequest({
+          responseQueue: [
+            {responseError: connectionError()},
+            {httpResponse: {statusCode: 200}},
+          ],
+        }),
+      });
+
+      return client.get({url: "/something"}).then(() => {
+        var messages = fakeLog.log.args.map((args) => args[0]).join("\n");
+        expect(messages).to.match(new RegExp(
+          "GET /something failed \\(ECONNRESET\\) on attempt 1 of 4; " +
+          "retrying in \\d+ms"));
+      });
+    });
+
   });
 });
 
@@ -752,6 +2975,33 @@ describe("amoClient.formatResponse", function() {
 });
 
 
+describe("amoClient.parseRetryAfter", function() {
+
+  it("parses seconds", function() {
+    expect(amoClient.parseRetryAfter("30")).to.be.equal(30000);
+  });
+
+  it("parses HTTP dates", function() {
+    var now = Date.parse("Wed, 21 Oct 2015 07:28:00 GMT");
+    expect(amoClient.parseRetryAfter("Wed, 21 Oct 2015 07:28:30 GMT", now))
+      .to.be.equal(30000);
+  });
+
+  it("does not return negative periods", function() {
+    var now = Date.parse("Wed, 21 Oct 2015 07:28:00 GMT");
+    expect(amoClient.parseRetryAfter("Wed, 21 Oct 2015 07:27:00 GMT", now))
+      .to.be.equal(0);
+  });
+
+  it("ignores missing and invalid values", function() {
+    expect(amoClient.parseRetryAfter(undefined)).to.be.equal(null);
+    expect(amoClient.parseRetryAfter("")).to.be.equal(null);
+    expect(amoClient.parseRetryAfter("soon")).to.be.equal(null);
+  });
+
+});
+
+
 describe("amoClient.getUrlBasename", function() {
 
   it("gets a basename", function() {
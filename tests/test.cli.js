@@ -0,0 +1,304 @@
+import {beforeEach, describe, it} from "mocha";
+import {expect} from "chai";
+import sinon from "sinon";
+import when from "when";
+
+import {signAddonCli} from "../src/cli";
+
+
+describe("cli", function() {
+  var mockProcess;
+  var fakeSignAddonAndExit;
+  var fakeResumeSigningAndExit;
+  var fakeListVersionsAndExit;
+  var fakeWhoamiAndExit;
+  var fakeListSourceFiles;
+  var fakeLogger;
+
+  beforeEach(function() {
+    mockProcess = {
+      exit: sinon.spy(() => {}),
+    };
+    fakeSignAddonAndExit = sinon.spy(() => when.resolve());
+    fakeResumeSigningAndExit = sinon.spy(() => when.resolve());
+    fakeListVersionsAndExit = sinon.spy(() => when.resolve());
+    fakeWhoamiAndExit = sinon.spy(() => when.resolve());
+    fakeListSourceFiles = sinon.spy(
+      () => when.resolve(["lib/main.js", "manifest.json"]));
+    fakeLogger = {
+      log: sinon.spy(() => {}),
+      error: sinon.spy(() => {}),
+    };
+  });
+
+  function runCli(argv) {
+    return signAddonCli(argv, {
+      systemProcess: mockProcess,
+      logger: fakeLogger,
+      signAddonAndExit: fakeSignAddonAndExit,
+      resumeSigningAndExit: fakeResumeSigningAndExit,
+      listVersionsAndExit: fakeListVersionsAndExit,
+      whoamiAndExit: fakeWhoamiAndExit,
+      listSourceFiles: fakeListSourceFiles,
+    });
+  }
+
+  function signingOptions() {
+    expect(fakeSignAddonAndExit.called).to.be.equal(true);
+    return fakeSignAddonAndExit.firstCall.args[0];
+  }
+
+  it("passes all signing options", () => {
+    return runCli([
+      "--xpi", "/path/to/addon.xpi",
+      "--source-path", "/path/to/addon-source.zip",
+      "--metadata", "/path/to/metadata.json",
+      "--id", "some-addon@somewhere",
+      "--version", "1.0",
+      "--require-newer-version",
+      "--auto-version", "timestamp",
+      "--channel", "listed",
+      "--api-key", "some-key",
+      "--api-secret", "some-secret",
+      "--verify-credentials",
+      "--api-url-prefix", "http://not-a-real-amo-api.com/api/v3",
+      "--api-version", "v5",
+      "--timeout", "5000",
+      "--download-dir", "/some/fake/download-destination",
+      "--max-retries", "5",
+      "--retry-delay", "200",
+      "--max-rate-limit-wait", "30000",
+      "--request-timeout", "60000",
+      "--state-dir", ".sign-addon",
+      "--wait-for-review",
+      "--review-timeout", "86400000",
+      "--fail-on-warnings",
+      "--max-warnings", "3",
+      "--verbose",
+    ]).then(() => {
+      expect(signingOptions()).to.be.deep.equal({
+        xpiPath: "/path/to/addon.xpi",
+        sourceDir: undefined,
+        ignoreFiles: undefined,
+        sourcePath: "/path/to/addon-source.zip",
+        metadata: "/path/to/metadata.json",
+        id: "some-addon@somewhere",
+        version: "1.0",
+        requireNewerVersion: true,
+        autoVersion: "timestamp",
+        channel: "listed",
+        apiKey: "some-key",
+        apiSecret: "some-secret",
+        verifyCredentials: true,
+        apiUrlPrefix: "http://not-a-real-amo-api.com/api/v3",
+        apiVersion: "v5",
+        timeout: 5000,
+        downloadDir: "/some/fake/download-destination",
+        maxRetries: 5,
+        retryDelay: 200,
+        maxRateLimitWait: 30000,
+        requestTimeout: 60000,
+        stateDir: ".sign-addon",
+        waitForReview: true,
+        reviewTimeout: 86400000,
+        failOnWarnings: true,
+        maxWarnings: 3,
+        verbose: true,
+      });
+    });
+  });
+
+  it("passes a source directory", () => {
+    return runCli(["--source-dir", "/path/to/addon/"]).then(() => {
+      expect(signingOptions().sourceDir).to.be.equal("/path/to/addon/");
+      expect(signingOptions().xpiPath).to.be.equal(undefined);
+    });
+  });
+
+  it("passes ignore patterns", () => {
+    return runCli([
+      "--source-dir", "/path/to/addon/",
+      "--ignore-files", "tests/", "*.map",
+    ]).then(() => {
+      expect(signingOptions().ignoreFiles)
+        .to.be.deep.equal(["tests/", "*.map"]);
+    });
+  });
+
+  it("lists source files without signing", () => {
+    return runCli([
+      "--source-dir", "/path/to/addon/",
+      "--ignore-files", "tests/",
+      "--list-files",
+    ]).then(() => {
+      expect(fakeSignAddonAndExit.called).to.be.equal(false);
+      expect(fakeListSourceFiles.firstCall.args[0])
+        .to.be.equal("/path/to/addon/");
+      expect(fakeListSourceFiles.firstCall.args[1].ignoreFiles)
+        .to.be.deep.equal(["tests/"]);
+      expect(fakeLogger.log.firstCall.args[0]).to.be.equal("lib/main.js");
+      expect(fakeLogger.log.secondCall.args[0]).to.be.equal("manifest.json");
+      expect(mockProcess.exit.firstCall.args[0]).to.be.equal(0);
+    });
+  });
+
+  it("requires a source directory to list files", () => {
+    return runCli(["--xpi", "addon.xpi", "--list-files"]).then(() => {
+      expect(fakeListSourceFiles.called).to.be.equal(false);
+      expect(fakeLogger.error.firstCall.args[0])
+        .to.include("requires --source-dir");
+      expect(mockProcess.exit.firstCall.args[0]).to.be.equal(1);
+    });
+  });
+
+  it("exits 1 when source files cannot be listed", () => {
+    fakeListSourceFiles = sinon.spy(
+      () => when.reject(new Error("ENOENT: no such directory")));
+    return runCli(["--source-dir", "/nope/", "--list-files"]).then(() => {
+      expect(fakeLogger.error.firstCall.args[0]).to.include("ENOENT");
+      expect(mockProcess.exit.firstCall.args[0]).to.be.equal(1);
+    });
+  });
+
+  it("leaves out optional arguments", () => {
+    return runCli(["--xpi", "addon.xpi"]).then(() => {
+      var options = signingOptions();
+      expect(options.apiUrlPrefix).to.be.equal(undefined);
+      expect(options.timeout).to.be.equal(undefined);
+      expect(options.downloadDir).to.be.equal(undefined);
+      expect(options.verbose).to.be.equal(false);
+    });
+  });
+
+  it("exits through signAddonAndExit", () => {
+    return runCli(["--xpi", "addon.xpi"]).then(() => {
+      var config = fakeSignAddonAndExit.firstCall.args[1];
+      expect(config.systemProcess).to.be.equal(mockProcess);
+    });
+  });
+
+  it("signs with the sign command", () => {
+    return runCli(["sign", "--xpi", "addon.xpi"]).then(() => {
+      expect(signingOptions().xpiPath).to.be.equal("addon.xpi");
+      expect(fakeResumeSigningAndExit.called).to.be.equal(false);
+    });
+  });
+
+  it("resumes signing with the status command", () => {
+    return runCli([
+      "status",
+      "--id", "some-addon@somewhere",
+      "--version", "1.0",
+      "--api-key", "some-key",
+      "--api-secret", "some-secret",
+    ]).then(() => {
+      expect(fakeSignAddonAndExit.called).to.be.equal(false);
+      var options = fakeResumeSigningAndExit.firstCall.args[0];
+      expect(options.id).to.be.equal("some-addon@somewhere");
+      expect(options.version).to.be.equal("1.0");
+      expect(options.apiKey).to.be.equal("some-key");
+      expect(fakeResumeSigningAndExit.firstCall.args[1].systemProcess)
+        .to.be.equal(mockProcess);
+    });
+  });
+
+  it("only validates with the validate command", () => {
+    return runCli([
+      "validate",
+      "--xpi", "some.xpi",
+      "--channel", "unlisted",
+      "--api-key", "some-key",
+      "--api-secret", "some-secret",
+    ]).then(() => {
+      expect(fakeResumeSigningAndExit.called).to.be.equal(false);
+      var options = fakeSignAddonAndExit.firstCall.args[0];
+      expect(options.validateOnly).to.be.equal(true);
+      expect(options.xpiPath).to.be.equal("some.xpi");
+      expect(options.channel).to.be.equal("unlisted");
+    });
+  });
+
+  it("lists the versions of an add-on with the versions command", () => {
+    return runCli([
+      "versions", "some-addon@somewhere",
+      "--api-key", "some-key",
+      "--api-secret", "some-secret",
+      "--api-version", "v5",
+    ]).then(() => {
+      expect(fakeSignAddonAndExit.called).to.be.equal(false);
+      var options = fakeListVersionsAndExit.firstCall.args[0];
+      expect(options.id).to.be.equal("some-addon@somewhere");
+      expect(options.apiKey).to.be.equal("some-key");
+      expect(options.apiVersion).to.be.equal("v5");
+      expect(fakeListVersionsAndExit.firstCall.args[1].systemProcess)
+        .to.be.equal(mockProcess);
+    });
+  });
+
+  it("takes the add-on ID of the versions command from --id", () => {
+    return runCli(["versions", "--id", "some-addon@somewhere"]).then(() => {
+      expect(fakeListVersionsAndExit.firstCall.args[0].id)
+        .to.be.equal("some-addon@somewhere");
+    });
+  });
+
+  it("checks the API credentials with the whoami command", () => {
+    return runCli([
+      "whoami",
+      "--api-key", "some-key",
+      "--api-secret", "some-secret",
+    ]).then(() => {
+      expect(fakeSignAddonAndExit.called).to.be.equal(false);
+      var options = fakeWhoamiAndExit.firstCall.args[0];
+      expect(options.apiKey).to.be.equal("some-key");
+      expect(options.apiSecret).to.be.equal("some-secret");
+      expect(fakeWhoamiAndExit.firstCall.args[1].systemProcess)
+        .to.be.equal(mockProcess);
+    });
+  });
+
+  it("exits 0 after showing help", () => {
+    var log = sinon.stub(console, "log");
+    try {
+      runCli(["--help"]);
+    } finally {
+      log.restore();
+    }
+    expect(mockProcess.exit.firstCall.args[0]).to.be.equal(0);
+    expect(fakeSignAddonAndExit.called).to.be.equal(false);
+  });
+
+  it("exits 1 for unknown options", () => {
+    var error = sinon.stub(console, "error");
+    try {
+      runCli(["--not-a-real-option"]);
+    } finally {
+      error.restore();
+    }
+    expect(mockProcess.exit.firstCall.args[0]).to.be.equal(1);
+    expect(fakeSignAddonAndExit.called).to.be.equal(false);
+  });
+
+  it("exits 1 for unknown channels", () => {
+    var error = sinon.stub(console, "error");
+    try {
+      runCli(["--xpi", "addon.xpi", "--channel", "beta"]);
+    } finally {
+      error.restore();
+    }
+    expect(mockProcess.exit.firstCall.args[0]).to.be.equal(1);
+    expect(fakeSignAddonAndExit.called).to.be.equal(false);
+  });
+
+  it("exits 1 for unknown commands", () => {
+    var error = sinon.stub(console, "error");
+    try {
+      runCli(["not-a-command"]);
+    } finally {
+      error.restore();
+    }
+    expect(mockProcess.exit.firstCall.args[0]).to.be.equal(1);
+    expect(fakeSignAddonAndExit.called).to.be.equal(false);
+  });
+
+});
@@ -0,0 +1,182 @@
+import {describe, it} from "mocha";
+import fs from "mz/fs";
+import os from "os";
+import path from "path";
+import {expect} from "chai";
+
+import * as manifest from "../src/manifest";
+
+const fixturePath = path.join(path.resolve(__dirname), "fixtures");
+
+
+describe("manifest.getManifestInfo", function() {
+
+  it("reads install.rdf", () => {
+    var xpiPath = path.join(fixturePath, "simple-addon.xpi");
+    return manifest.getManifestInfo(xpiPath).then((info) => {
+      expect(info).to.be.deep.equal({
+        manifestFile: "install.rdf",
+        id: "@simple-addon",
+        version: "1.0.0",
+      });
+    });
+  });
+
+  it("reads manifest.json", () => {
+    var xpiPath = path.join(fixturePath, "minimal-web-ext.xpi");
+    return manifest.getManifestInfo(xpiPath).then((info) => {
+      expect(info).to.be.deep.equal({
+        manifestFile: "manifest.json",
+        id: "minimal-web-ext@somewhere",
+        version: "1.0",
+      });
+    });
+  });
+
+  it("rejects files that are not XPIs", () => {
+    var xpiPath = path.join(fixturePath, "simple-addon", "package.json");
+    return manifest.getManifestInfo(xpiPath).then(() => {
+      throw new Error("unexpected success");
+    }).catch((error) => {
+      expect(error.message).to.include(`could not read ${xpiPath}`);
+    });
+  });
+
+});
+
+
+describe("manifest.setManifestVersion", function() {
+
+  it("copies an XPI with a new version", () => {
+    var outputPath = path.join(
+      os.tmpdir(), `sign-addon-test-${process.pid}-${Date.now()}.xpi`);
+    return manifest.setManifestVersion({
+      xpiPath: path.join(fixturePath, "minimal-web-ext.xpi"),
+      version: "1.0.1",
+      outputPath,
+    }).then(() => manifest.getManifestInfo(outputPath))
+      .then((info) => {
+        expect(info).to.be.deep.equal({
+          manifestFile: "manifest.json",
+          id: "minimal-web-ext@somewhere",
+          version: "1.0.1",
+        });
+      })
+      .finally(() => fs.unlink(outputPath));
+  });
+
+  it("rejects files that are not XPIs", () => {
+    var xpiPath = path.join(fixturePath, "simple-addon", "package.json");
+    return manifest.setManifestVersion({
+      xpiPath,
+      version: "1.0.1",
+      outputPath: "some.xpi",
+    }).then(() => {
+      throw new Error("unexpected success");
+    }).catch((error) => {
+      expect(error.message).to.include(`could not read ${xpiPath}`);
+    });
+  });
+
+});
+
+describe("manifest.parseInstallRdf", function() {
+
+  it("ignores target application IDs", () => {
+    var info = manifest.parseInstallRdf(`
+      <Description about="urn:mozilla:install-manifest">
+        <em:targetApplication>
+          <Description>
+            <em:id>{ec8030f7-c20a-464f-9b0e-13a3a9e97384}</em:id>
+          </Description>
+        </em:targetApplication>
+        <em:id>my-addon@jetpack</em:id>
+        <em:version>2.0</em:version>
+      </Description>`);
+    expect(info).to.be.deep.equal({id: "my-addon@jetpack", version: "2.0"});
+  });
+
+  it("reads attributes", () => {
+    var info = manifest.parseInstallRdf(`
+      <Description about="urn:mozilla:install-manifest"
+                   em:id="my-addon@jetpack" em:version="2.0"/>`);
+    expect(info).to.be.deep.equal({id: "my-addon@jetpack", version: "2.0"});
+  });
+
+  it("leaves out undeclared values", () => {
+    var info = manifest.parseInstallRdf("<RDF></RDF>");
+    expect(info.id).to.be.equal(undefined);
+    expect(info.version).to.be.equal(undefined);
+  });
+
+});
+
+
+describe("manifest.parseWebExtensionManifest", function() {
+
+  it("allows a missing gecko ID", () => {
+    var info = manifest.parseWebExtensionManifest(
+      JSON.stringify({version: "1.0"}));
+    expect(info).to.be.deep.equal({id: undefined, version: "1.0"});
+  });
+
+});
+
+
+describe("manifest.parseJetpackManifest", function() {
+
+  it("reads a declared ID", () => {
+    var info = manifest.parseJetpackManifest(
+      JSON.stringify({id: "my-addon@jetpack", name: "my-addon",
+                      version: "1.0"}));
+    expect(info).to.be.deep.equal({id: "my-addon@jetpack", version: "1.0"});
+  });
+
+  it("derives an ID from the name", () => {
+    var info = manifest.parseJetpackManifest(
+      JSON.stringify({name: "my-addon", version: "1.0"}));
+    expect(info.id).to.be.equal("@my-addon");
+  });
+
+});
+
+
+describe("manifest.setInstallRdfVersion", function() {
+
+  it("sets the add-on version only", () => {
+    var content = manifest.setInstallRdfVersion(`
+      <Description about="urn:mozilla:install-manifest">
+        <em:targetApplication>
+          <Description>
+            <em:minVersion>38.0</em:minVersion>
+            <em:version>1.0</em:version>
+          </Description>
+        </em:targetApplication>
+        <em:id>my-addon@jetpack</em:id>
+        <em:version>2.0</em:version>
+      </Description>`, "2.0.1");
+    expect(content).to.include("<em:version>1.0</em:version>");
+    expect(manifest.parseInstallRdf(content))
+      .to.be.deep.equal({id: "my-addon@jetpack", version: "2.0.1"});
+  });
+
+  it("sets a version attribute", () => {
+    var content = manifest.setInstallRdfVersion(
+      '<Description em:id="my-addon@jetpack" em:version="2.0"/>', "2.0.1");
+    expect(manifest.parseInstallRdf(content).version)
+      .to.be.equal("2.0.1");
+  });
+
+});
+
+
+describe("manifest.setJsonManifestVersion", function() {
+
+  it("sets the version", () => {
+    var content = manifest.setJsonManifestVersion(
+      JSON.stringify({name: "my-addon", version: "1.0"}), "1.0.1");
+    expect(JSON.parse(content))
+      .to.be.deep.equal({name: "my-addon", version: "1.0.1"});
+  });
+
+});
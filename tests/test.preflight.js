@@ -0,0 +1,149 @@
+import {describe, it} from "mocha";
+import path from "path";
+import {expect} from "chai";
+import when from "when";
+
+import {PreflightError, XpiFileError} from "../src/errors";
+import * as preflight from "../src/preflight";
+
+const fixturePath = path.join(path.resolve(__dirname), "fixtures");
+
+
+describe("preflight.checkXpi", function() {
+
+  function fakeManifest(manifest) {
+    return () => when.resolve({manifestFile: "manifest.json", ...manifest});
+  }
+
+  function fakeFs(size) {
+    return {stat: () => when.resolve({size})};
+  }
+
+  function expectProblems(checking) {
+    return checking.then(() => {
+      throw new Error("unexpected success");
+    }).catch((error) => {
+      expect(error).to.be.instanceof(PreflightError);
+      return error.problems;
+    });
+  }
+
+  it("resolves with the manifest of a valid XPI", () => {
+    var xpiPath = path.join(fixturePath, "minimal-web-ext.xpi");
+    return preflight.checkXpi({xpiPath}).then((manifest) => {
+      expect(manifest).to.be.deep.equal({
+        manifestFile: "manifest.json",
+        id: "minimal-web-ext@somewhere",
+        version: "1.0",
+      });
+    });
+  });
+
+  it("reports files that are not zip files", () => {
+    var xpiPath = path.join(fixturePath, "simple-addon", "package.json");
+    return expectProblems(preflight.checkXpi({xpiPath}))
+      .then((problems) => {
+        expect(problems.length).to.be.equal(1);
+        expect(problems[0]).to.include(`could not read ${xpiPath}`);
+        expect(problems[0]).to.include("must be a zip file");
+      });
+  });
+
+  it("reports XPIs without a manifest", () => {
+    return expectProblems(preflight.checkXpi({xpiPath: "some.xpi"}, {
+      fs: fakeFs(100),
+      getManifestInfo: () => when.resolve({manifestFile: null}),
+    })).then((problems) => {
+      expect(problems.length).to.be.equal(1);
+      expect(problems[0]).to.include("has no manifest.json");
+    });
+  });
+
+  it("reports all the problems together", () => {
+    var checking = preflight.checkXpi({
+      xpiPath: "some.xpi",
+      maxSize: 1000,
+    }, {
+      fs: fakeFs(1001),
+      getManifestInfo: fakeManifest({id: "my addon", version: "1.0 beta"}),
+    });
+    return checking.catch((error) => {
+      expect(error.message).to.include("some.xpi failed the checks");
+      expect(error.message).to.include("  - the XPI is too large");
+      return expectProblems(checking);
+    }).then((problems) => {
+      expect(problems.length).to.be.equal(3);
+      expect(problems[0]).to.include('add-on ID "my addon" is not valid');
+      expect(problems[1]).to.include('version "1.0 beta" is not a valid');
+      expect(problems[2]).to.include("1001 bytes, the limit is 1000");
+    });
+  });
+
+  it("checks the given ID and version over the manifest", () => {
+    return expectProblems(preflight.checkXpi({
+      xpiPath: "some.xpi",
+      id: "not-an-id",
+      version: "1..0",
+    }, {
+      fs: fakeFs(100),
+      getManifestInfo: fakeManifest({id: "some@id", version: "1.0"}),
+    })).then((problems) => {
+      expect(problems.length).to.be.equal(2);
+      expect(problems[0]).to.include('"not-an-id"');
+      expect(problems[1]).to.include('"1..0"');
+    });
+  });
+
+  it("rejects errors other than XPI problems", () => {
+    return preflight.checkXpi({xpiPath: "some.xpi"}, {
+      fs: fakeFs(100),
+      getManifestInfo: () => when.reject(new Error("some error")),
+    }).then(() => {
+      throw new Error("unexpected success");
+    }).catch((error) => {
+      expect(error).to.not.be.instanceof(PreflightError);
+      expect(error.message).to.be.equal("some error");
+    });
+  });
+
+  it("explains XPI errors of the manifest", () => {
+    return expectProblems(preflight.checkXpi({xpiPath: "some.xpi"}, {
+      fs: fakeFs(100),
+      getManifestInfo: () => when.reject(new XpiFileError("bad zip")),
+    })).then((problems) => {
+      expect(problems).to.be.deep.equal([
+        "bad zip; the XPI must be a zip file with the manifest at its root",
+      ]);
+    });
+  });
+
+});
+
+
+describe("preflight.isValidAddonId", function() {
+
+  it("accepts GUIDs and email-style IDs", () => {
+    [
+      "{ec8030f7-c20a-464f-9b0e-13a3a9e97384}",
+      "my-addon@jetpack",
+      "my_addon.2@example.com",
+      "@simple-addon",
+    ].forEach((id) => {
+      expect(preflight.isValidAddonId(id)).to.be.equal(true, id);
+    });
+  });
+
+  it("refuses other IDs", () => {
+    [
+      "my-addon",
+      "ec8030f7-c20a-464f-9b0e-13a3a9e97384",
+      "{not-a-guid}",
+      "my addon@example.com",
+      "my-addon@",
+    ].forEach((id) => {
+      expect(preflight.isValidAddonId(id)).to.be.equal(false, id);
+    });
+  });
+
+});
+
@@ -1,10 +1,27 @@
-import {beforeEach, describe, it} from "mocha";
+import {afterEach, beforeEach, describe, it} from "mocha";
+import fs from "mz/fs";
+import os from "os";
 import path from "path";
 import {expect} from "chai";
 import sinon from "sinon";
 import when from "when";
 
-import {signAddonAndExit} from "../src";
+import {
+  AuthenticationError,
+  InvalidArgumentError,
+  MissingArgumentError,
+  PreflightError,
+  SourceFileError,
+  XpiFileError,
+  default as signAddon,
+  exitCodes,
+  listVersionsAndExit,
+  resumeSigningAndExit,
+  signAddonAndExit,
+  signingStatus,
+  whoamiAndExit,
+} from "../src";
+import {getManifestInfo} from "../src/manifest";
 
 const testDir = path.resolve(__dirname);
 const fixturePath = path.join(testDir, "fixtures");
@@ -14,10 +31,12 @@ describe("sign", function() {
   var mockProcessExit;
   var mockProcess;
   var signingCall;
+  var resumeCall;
   var fakeClientContructor;
 
   beforeEach(function() {
     signingCall = null;
+    resumeCall = null;
     mockProcessExit = sinon.spy(() => {});
     mockProcess = {
       exit: mockProcessExit,
@@ -29,6 +48,10 @@ describe("sign", function() {
     options = {
       errorToThrow: null,
       result: {success: true},
+      versions: [],
+      existingVersion: null,
+      account: {id: 123, username: "some-user", name: "Some User"},
+      credentialsError: null,
       ...options,
     };
 
@@ -36,6 +59,7 @@ describe("sign", function() {
       var constructor = fakeClientContructor;
       constructor.apply(constructor, arguments);
       this.debug = function() {};
+      this.logger = {log: () => {}, error: () => {}};
     }
 
     signingCall = sinon.spy(() => when.promise((resolve) => {
@@ -45,6 +69,20 @@ describe("sign", function() {
       resolve(options.result);
     }));
     FakeAMOClient.prototype.sign = signingCall;
+    resumeCall = sinon.spy(() => when.resolve(options.result));
+    FakeAMOClient.prototype.resume = resumeCall;
+    FakeAMOClient.prototype.downloadIfSigned =
+      sinon.spy(() => when.resolve(options.existingVersion));
+    FakeAMOClient.prototype.listVersions =
+      sinon.spy(() => when.resolve(options.versions));
+    FakeAMOClient.prototype.validate =
+      sinon.spy(() => when.resolve(options.result));
+    FakeAMOClient.prototype.verifyCredentials = sinon.spy(() => {
+      if (options.credentialsError) {
+        return when.reject(options.credentialsError);
+      }
+      return when.resolve(options.account);
+    });
 
     return FakeAMOClient;
   }
@@ -60,9 +98,10 @@ describe("sign", function() {
     var cmdOptions = {
       apiKey: "some-key",
       apiSecret: "some-secret",
-      id: "some-addon@somewhere",
+      // These match the manifest of the XPI.
+      id: "@simple-addon",
       xpiPath: path.join(fixturePath, "simple-addon.xpi"),
-      version: "0.0.1",
+      version: "1.0.0",
       verbose: false,
       AMOClient: options.StubAMOClient,
       ...options.cmdOptions,
@@ -72,6 +111,9 @@ describe("sign", function() {
       systemProcess: mockProcess,
       throwError: options.throwError,
     };
+    if (options.logger) {
+      cmdConfig.logger = options.logger;
+    }
 
     return signAddonAndExit(cmdOptions, cmdConfig);
   }
@@ -109,7 +151,7 @@ describe("sign", function() {
   });
 
   it("can turn on debug logging", () => {
-    runSignCmd({
+    return runSignCmd({
       cmdOptions: {
         verbose: true,
       },
@@ -131,6 +173,405 @@ describe("sign", function() {
     });
   });
 
+  it("can configure status check failures", () => {
+    return runSignCmd({
+      cmdOptions: {
+        maxStatusCheckFailures: 5,
+      },
+    }).then(function() {
+      expect(fakeClientContructor.firstCall.args[0].maxStatusCheckFailures)
+        .to.be.equal(5);
+    });
+  });
+
+  it("can configure retries", () => {
+    return runSignCmd({
+      cmdOptions: {
+        maxRetries: 5,
+        retryDelay: 200,
+        maxRateLimitWait: 30000,
+        requestTimeout: 60000,
+      },
+    }).then(function() {
+      var clientOptions = fakeClientContructor.firstCall.args[0];
+      expect(clientOptions.maxRetries).to.be.equal(5);
+      expect(clientOptions.retryDelay).to.be.equal(200);
+      expect(clientOptions.maxRateLimitWait).to.be.equal(30000);
+      expect(clientOptions.requestTimeout).to.be.equal(60000);
+    });
+  });
+
+  it("can configure a state directory", () => {
+    return runSignCmd({
+      cmdOptions: {
+        stateDir: "/some/fake/state-dir",
+      },
+    }).then(function() {
+      expect(fakeClientContructor.firstCall.args[0].stateDir)
+        .to.be.equal("/some/fake/state-dir");
+    });
+  });
+
+  it("can wait for a review", () => {
+    return runSignCmd({
+      cmdOptions: {
+        waitForReview: true,
+        reviewTimeout: 86400000,
+      },
+    }).then(function() {
+      var clientOptions = fakeClientContructor.firstCall.args[0];
+      expect(clientOptions.waitForReview).to.be.equal(true);
+      expect(clientOptions.reviewTimeout).to.be.equal(86400000);
+    });
+  });
+
+  it("refuses review timeouts longer than a timer can wait", () => {
+    return runSignCmd({
+      cmdOptions: {
+        waitForReview: true,
+        // 30 days.
+        reviewTimeout: 2592000000,
+      },
+    }).then(() => {
+      throw new Error("unexpected success");
+    }).catch((error) => {
+      expect(error).to.be.instanceof(InvalidArgumentError);
+      expect(error.message).to.include("reviewTimeout 2592000000 is too long");
+      expect(fakeClientContructor.called).to.be.equal(false);
+    });
+  });
+
+  it("refuses a version that is not higher than the latest one", () => {
+    var StubAMOClient = makeAMOClientStub({
+      versions: [{version: "0.9"}, {version: "1.0.0"}, {version: "1.0b1"}],
+    });
+    return runSignCmd({
+      StubAMOClient,
+      cmdOptions: {
+        requireNewerVersion: true,
+      },
+    }).then(() => {
+      throw new Error("unexpected success");
+    }).catch((error) => {
+      expect(error).to.be.instanceof(InvalidArgumentError);
+      expect(error.message).to.include(
+        "version 1.0.0 is not higher than 1.0.0, the latest version");
+      expect(StubAMOClient.prototype.listVersions.firstCall.args[0])
+        .to.be.equal("@simple-addon");
+      expect(StubAMOClient.prototype.sign.called).to.be.equal(false);
+    });
+  });
+
+  it("uploads a version higher than the latest one", () => {
+    var StubAMOClient = makeAMOClientStub({
+      versions: [{version: "1.0.0pre"}, {version: "0.9.10"}],
+    });
+    return runSignCmd({
+      StubAMOClient,
+      cmdOptions: {
+        requireNewerVersion: true,
+      },
+    }).then(() => {
+      expect(StubAMOClient.prototype.sign.called).to.be.equal(true);
+    });
+  });
+
+  it("does not list the versions on AMO by default", () => {
+    var StubAMOClient = makeAMOClientStub();
+    return runSignCmd({StubAMOClient}).then(() => {
+      expect(StubAMOClient.prototype.listVersions.called)
+        .to.be.equal(false);
+      expect(StubAMOClient.prototype.sign.called).to.be.equal(true);
+    });
+  });
+
+  it("downloads a version already signed from the XPI", () => {
+    var StubAMOClient = makeAMOClientStub({
+      existingVersion: {
+        success: true,
+        status: signingStatus.signed,
+        downloadedFiles: ["simple-addon-1.0.0.xpi"],
+        alreadySigned: true,
+      },
+    });
+    return runSignCmd({
+      StubAMOClient,
+      cmdOptions: {
+        channel: "unlisted",
+        requireNewerVersion: true,
+      },
+    }).then(() => {
+      expect(StubAMOClient.prototype.downloadIfSigned.firstCall.args[0])
+        .to.be.deep.equal({
+          guid: "@simple-addon",
+          version: "1.0.0",
+          xpiPath: path.join(fixturePath, "simple-addon.xpi"),
+          channel: "unlisted",
+        });
+      expect(StubAMOClient.prototype.sign.called).to.be.equal(false);
+      expect(StubAMOClient.prototype.listVersions.called).to.be.equal(false);
+      expect(mockProcessExit.firstCall.args[0]).to.be.equal(0);
+    });
+  });
+
+  it("applies the warnings policy to a version already signed", () => {
+    var StubAMOClient = makeAMOClientStub({
+      existingVersion: {
+        success: true,
+        status: signingStatus.signed,
+        validation: {errors: [], warnings: [], notices: []},
+        downloadedFiles: ["simple-addon-1.0.0.xpi"],
+        alreadySigned: true,
+      },
+    });
+    return runSignCmd({
+      StubAMOClient,
+      cmdOptions: {failOnWarnings: true},
+    }).then(() => {
+      expect(StubAMOClient.prototype.sign.called).to.be.equal(false);
+      expect(mockProcessExit.firstCall.args[0]).to.be.equal(0);
+    });
+  });
+
+  it("uploads versions that are not signed yet", () => {
+    var StubAMOClient = makeAMOClientStub();
+    return runSignCmd({StubAMOClient}).then(() => {
+      expect(StubAMOClient.prototype.downloadIfSigned.called)
+        .to.be.equal(true);
+      expect(StubAMOClient.prototype.sign.called).to.be.equal(true);
+    });
+  });
+
+  it("verifies the credentials before uploading", () => {
+    var StubAMOClient = makeAMOClientStub();
+    return runSignCmd({
+      StubAMOClient,
+      cmdOptions: {verifyCredentials: true},
+    }).then(() => {
+      expect(StubAMOClient.prototype.verifyCredentials.called)
+        .to.be.equal(true);
+      expect(StubAMOClient.prototype.sign.called).to.be.equal(true);
+    });
+  });
+
+  it("does not upload with rejected credentials", () => {
+    var StubAMOClient = makeAMOClientStub({
+      credentialsError: new AuthenticationError(
+        "The API credentials were rejected", {reason: "unknownKey"}),
+    });
+    return runSignCmd({
+      StubAMOClient,
+      cmdOptions: {verifyCredentials: true},
+    }).then(() => {
+      throw new Error("unexpected success");
+    }).catch((error) => {
+      expect(error).to.be.instanceof(AuthenticationError);
+      expect(error.reason).to.be.equal("unknownKey");
+      expect(StubAMOClient.prototype.downloadIfSigned.called)
+        .to.be.equal(false);
+      expect(StubAMOClient.prototype.sign.called).to.be.equal(false);
+    });
+  });
+
+  it("does not verify the credentials by default", () => {
+    var StubAMOClient = makeAMOClientStub();
+    return runSignCmd({StubAMOClient}).then(() => {
+      expect(StubAMOClient.prototype.verifyCredentials.called)
+        .to.be.equal(false);
+    });
+  });
+
+  describe("with autoVersion", () => {
+
+    var existingVersion = {
+      success: false,
+      status: signingStatus.serverRejected,
+      versionExists: true,
+    };
+
+    function makeConflictingClientStub(existingVersions) {
+      var StubAMOClient = makeAMOClientStub();
+      StubAMOClient.prototype.sign = sinon.spy((conf) => {
+        return getManifestInfo(conf.xpiPath).then((manifest) => {
+          // Keep what was uploaded, since the XPI is removed afterwards.
+          conf.manifestVersion = manifest.version;
+          if (existingVersions.indexOf(conf.version) !== -1) {
+            return existingVersion;
+          }
+          return {success: true, status: signingStatus.signed};
+        });
+      });
+      return StubAMOClient;
+    }
+
+    it("uploads the XPI again with a new version", () => {
+      var StubAMOClient = makeConflictingClientStub(["1.0.0", "1.0.0.1"]);
+      return runSignCmd({
+        StubAMOClient,
+        cmdOptions: {
+          autoVersion: "build",
+        },
+      }).then(() => {
+        var calls = StubAMOClient.prototype.sign.args.map((args) => args[0]);
+        expect(calls.map((conf) => conf.version)).to.be.deep.equal(
+          ["1.0.0", "1.0.0.1", "1.0.0.2"]);
+        expect(calls.map((conf) => conf.manifestVersion)).to.be.deep.equal(
+          ["1.0.0", "1.0.0.1", "1.0.0.2"]);
+        expect(calls[0].xpiPath)
+          .to.be.equal(path.join(fixturePath, "simple-addon.xpi"));
+        expect(mockProcessExit.firstCall.args[0]).to.be.equal(0);
+        return fs.stat(calls[2].xpiPath).then(() => {
+          throw new Error("the rewritten XPI was not removed");
+        }, () => {});
+      });
+    });
+
+    it("reports the version that was used", () => {
+      return signAddon({
+        apiKey: "some-key",
+        apiSecret: "some-secret",
+        xpiPath: path.join(fixturePath, "simple-addon.xpi"),
+        autoVersion: (version, {attempt}) => `${version}.nightly${attempt}`,
+        AMOClient: makeConflictingClientStub(["1.0.0"]),
+      }).then((result) => {
+        expect(result.success).to.be.equal(true);
+        expect(result.version).to.be.equal("1.0.0.nightly1");
+      });
+    });
+
+    it("gives up after several new versions", () => {
+      var StubAMOClient = makeAMOClientStub({result: existingVersion});
+      StubAMOClient.prototype.sign = sinon.spy(
+        () => when.resolve(existingVersion));
+      return signAddon({
+        apiKey: "some-key",
+        apiSecret: "some-secret",
+        xpiPath: path.join(fixturePath, "simple-addon.xpi"),
+        autoVersion: "build",
+        AMOClient: StubAMOClient,
+      }).then((result) => {
+        expect(StubAMOClient.prototype.sign.callCount).to.be.equal(6);
+        expect(result.status).to.be.equal(signingStatus.serverRejected);
+        expect(result.version).to.be.equal("1.0.0.5");
+      });
+    });
+
+    it("refuses invalid new versions", () => {
+      return runSignCmd({
+        StubAMOClient: makeConflictingClientStub(["1.0.0"]),
+        cmdOptions: {
+          autoVersion: () => "1.0.0 nightly",
+        },
+      }).then(() => {
+        throw new Error("unexpected success");
+      }).catch((error) => {
+        expect(error).to.be.instanceof(InvalidArgumentError);
+        expect(error.message).to.include(
+          "autoVersion returned an invalid version: 1.0.0 nightly");
+      });
+    });
+
+    it("refuses unknown strategies", () => {
+      return runSignCmd({
+        cmdOptions: {
+          autoVersion: "random",
+        },
+      }).then(() => {
+        throw new Error("unexpected success");
+      }).catch((error) => {
+        expect(error).to.be.instanceof(InvalidArgumentError);
+        expect(error.message).to.include(
+          'unknown autoVersion strategy "random"');
+      });
+    });
+
+    it("is not used by default", () => {
+      var StubAMOClient = makeConflictingClientStub(["1.0.0"]);
+      return runSignCmd({StubAMOClient, throwError: false}).then(() => {
+        expect(StubAMOClient.prototype.sign.callCount).to.be.equal(1);
+        expect(mockProcessExit.firstCall.args[0]).to.be.equal(4);
+      });
+    });
+
+  });
+
+  it("can configure the API version", () => {
+    return runSignCmd({
+      cmdOptions: {
+        apiVersion: "v5",
+        channel: "listed",
+      },
+    }).then(function() {
+      expect(fakeClientContructor.firstCall.args[0].apiVersion)
+        .to.be.equal("v5");
+    });
+  });
+
+  it("uses the AMO prefix of the API version by default", () => {
+    return runSignCmd({
+      cmdOptions: {
+        apiVersion: "v5",
+        channel: "listed",
+      },
+    }).then(function() {
+      expect(fakeClientContructor.firstCall.args[0].apiUrlPrefix)
+        .to.be.equal("https://addons.mozilla.org/api/v5");
+    });
+  });
+
+  it("only validates with validateOnly", () => {
+    var StubAMOClient = makeAMOClientStub({
+      result: {success: true, status: signingStatus.validated},
+    });
+    return runSignCmd({
+      StubAMOClient,
+      cmdOptions: {
+        validateOnly: true,
+        channel: "unlisted",
+      },
+    }).then(function() {
+      var {sign, validate} = StubAMOClient.prototype;
+      expect(sign.called).to.be.equal(false);
+      expect(validate.firstCall.args[0]).to.be.deep.equal({
+        xpiPath: path.join(fixturePath, "simple-addon.xpi"),
+        channel: "unlisted",
+      });
+      var clientOptions = fakeClientContructor.firstCall.args[0];
+      expect(clientOptions.apiVersion).to.be.equal("v5");
+      expect(clientOptions.apiUrlPrefix)
+        .to.be.equal("https://addons.mozilla.org/api/v5");
+      expect(mockProcessExit.firstCall.args[0]).to.be.equal(0);
+    });
+  });
+
+  it("exits 2 when validateOnly finds errors", () => {
+    var StubAMOClient = makeAMOClientStub({
+      result: {success: false, status: signingStatus.failedValidation},
+    });
+    return runSignCmd({
+      StubAMOClient,
+      cmdOptions: {
+        validateOnly: true,
+      },
+    }).then(function() {
+      expect(StubAMOClient.prototype.validate.called).to.be.equal(true);
+      expect(mockProcessExit.firstCall.args[0]).to.be.equal(2);
+    });
+  });
+
+  it("should throw error for an unknown API version", () => {
+    return runSignCmd({
+      cmdOptions: {
+        apiVersion: "v4",
+      },
+    }).then(() => {
+      throw new Error("unexpected success");
+    }).catch((error) => {
+      expect(error).to.be.instanceof(InvalidArgumentError);
+      expect(error.message).to.include('unknown API version "v4"');
+    });
+  });
+
   it("can configure a download destination", () => {
     return runSignCmd({
       cmdOptions: {
@@ -147,8 +588,6 @@ describe("sign", function() {
     let xpiPath = path.join(fixturePath, "simple-addon.xpi");
     return runSignCmd({
       cmdOptions: {
-        id: "some-id",
-        version: "0.0.1",
         xpiPath: xpiPath,
       },
     }).then(function() {
@@ -157,6 +596,316 @@ describe("sign", function() {
     });
   });
 
+  it("signs an XPI built from a source directory", () => {
+    var builtXpiPath;
+    return runSignCmd({
+      cmdOptions: {
+        xpiPath: null,
+        sourceDir: path.join(fixturePath, "simple-addon"),
+      },
+    }).then(function() {
+      expect(signingCall.called).to.be.equal(true);
+      builtXpiPath = signingCall.firstCall.args[0].xpiPath;
+      expect(builtXpiPath).to.match(/sign-addon-simple-addon-.*\.xpi$/);
+      // The add-on ID and version are read from the built XPI.
+      expect(signingCall.firstCall.args[0].guid)
+        .to.be.equal("@simple-addon");
+      // The built XPI is removed after signing.
+      return fs.stat(builtXpiPath);
+    }).then(() => {
+      throw new Error("unexpected success");
+    }).catch((error) => {
+      expect(error.code).to.be.equal("ENOENT");
+    });
+  });
+
+  describe("with source code", function() {
+    var archivePath;
+
+    beforeEach(function() {
+      archivePath = path.join(
+        os.tmpdir(), `sign-addon-test-${process.pid}-${Date.now()}.tar.gz`);
+      return fs.writeFile(archivePath, "not really a tarball");
+    });
+
+    afterEach(function() {
+      return fs.unlink(archivePath);
+    });
+
+    function expectSourceFileError(cmdOptions, message) {
+      return runSignCmd({cmdOptions}).then(() => {
+        throw new Error("unexpected success");
+      }).catch((error) => {
+        expect(error).to.be.instanceof(SourceFileError);
+        expect(error.message).to.include(message);
+        expect(signingCall.called).to.be.equal(false);
+      });
+    }
+
+    it("passes a source code archive to the client", () => {
+      return runSignCmd({
+        cmdOptions: {
+          sourcePath: archivePath,
+        },
+      }).then(() => {
+        expect(signingCall.firstCall.args[0].sourcePath)
+          .to.be.equal(archivePath);
+      });
+    });
+
+    it("zips a source code directory", () => {
+      var builtSourcePath;
+      return runSignCmd({
+        cmdOptions: {
+          sourcePath: path.join(fixturePath, "simple-addon"),
+        },
+      }).then(() => {
+        builtSourcePath = signingCall.firstCall.args[0].sourcePath;
+        expect(builtSourcePath)
+          .to.match(/sign-addon-simple-addon-.*-source\.zip$/);
+        // The built archive is removed after signing.
+        return fs.exists(builtSourcePath);
+      }).then((exists) => {
+        expect(exists).to.be.equal(false);
+      });
+    });
+
+    it("should throw error for missing source code", () => {
+      return expectSourceFileError({
+        sourcePath: "/not/a/real/source.zip",
+      }, "ENOENT");
+    });
+
+    it("should throw error for unsupported source code archives", () => {
+      return expectSourceFileError({
+        sourcePath: path.join(fixturePath, "simple-addon.xpi"),
+      }, "unsupported source code archive");
+    });
+
+    it("should throw error for oversized source code archives", () => {
+      return expectSourceFileError({
+        sourcePath: archivePath,
+        maxSourceSize: 10,
+      }, "is too large: 20 bytes, the limit is 10");
+    });
+
+  });
+
+  describe("with metadata", function() {
+    var metadataPath;
+
+    beforeEach(function() {
+      metadataPath = path.join(
+        os.tmpdir(), `sign-addon-test-${process.pid}-${Date.now()}.json`);
+    });
+
+    afterEach(function() {
+      return fs.unlink(metadataPath).catch(() => {});
+    });
+
+    it("passes version metadata to the client", () => {
+      var metadata = {
+        releaseNotes: {"en-US": "Fixes a crash"},
+        approvalNotes: "Run npm run build",
+        license: "MPL-2.0",
+        compatibility: {firefox: {min: "45.0", max: "*"}},
+      };
+      return runSignCmd({
+        cmdOptions: {metadata, apiVersion: "v5"},
+      }).then(() => {
+        expect(signingCall.firstCall.args[0].metadata)
+          .to.be.deep.equal(metadata);
+      });
+    });
+
+    it("reads version metadata from a JSON file", () => {
+      return fs.writeFile(metadataPath, '{"license": "MPL-2.0"}')
+        .then(() => runSignCmd({
+          cmdOptions: {metadata: metadataPath, apiVersion: "v5"},
+        }))
+        .then(() => {
+          expect(signingCall.firstCall.args[0].metadata)
+            .to.be.deep.equal({license: "MPL-2.0"});
+        });
+    });
+
+    it("should throw error for unreadable metadata files", () => {
+      return fs.writeFile(metadataPath, "{not json")
+        .then(() => runSignCmd({
+          cmdOptions: {metadata: metadataPath, apiVersion: "v5"},
+        }))
+        .then(() => {
+          throw new Error("unexpected success");
+        }).catch((error) => {
+          expect(error).to.be.instanceof(InvalidArgumentError);
+          expect(error.message).to.include("error reading the metadata file");
+          expect(signingCall.called).to.be.equal(false);
+        });
+    });
+
+    it("should throw error for unknown metadata", () => {
+      return runSignCmd({
+        cmdOptions: {
+          metadata: {releaseNote: "Fixes a crash"},
+          apiVersion: "v5",
+        },
+      }).then(() => {
+        throw new Error("unexpected success");
+      }).catch((error) => {
+        expect(error).to.be.instanceof(InvalidArgumentError);
+        expect(error.message).to.include("unknown: releaseNote");
+        expect(signingCall.called).to.be.equal(false);
+      });
+    });
+
+    it("reads the API version from the URL prefix", () => {
+      return runSignCmd({
+        cmdOptions: {
+          metadata: {license: "MPL-2.0"},
+          apiUrlPrefix: "https://addons.example.com/api/v5/",
+        },
+      }).then(() => {
+        expect(signingCall.firstCall.args[0].metadata)
+          .to.be.deep.equal({license: "MPL-2.0"});
+      });
+    });
+
+    it("should throw error for metadata with version 3 of the API", () => {
+      return runSignCmd({
+        cmdOptions: {
+          metadata: {license: "MPL-2.0"},
+        },
+      }).then(() => {
+        throw new Error("unexpected success");
+      }).catch((error) => {
+        expect(error).to.be.instanceof(InvalidArgumentError);
+        expect(error.message).to.include(
+          "metadata can only be set with version 5 of the API");
+        expect(signingCall.called).to.be.equal(false);
+      });
+    });
+
+  });
+
+  it("should throw error for both an XPI and a source directory", () => {
+    return runSignCmd({
+      cmdOptions: {
+        sourceDir: path.join(fixturePath, "simple-addon"),
+      },
+    }).then(() => {
+      throw new Error("unexpected success");
+    }).catch((error) => {
+      expect(error).to.be.instanceof(InvalidArgumentError);
+      expect(error.message).to.include("cannot be used together");
+    });
+  });
+
+  it("passes the channel to the client", () => {
+    return runSignCmd({
+      cmdOptions: {
+        channel: "unlisted",
+      },
+    }).then(() => {
+      expect(signingCall.firstCall.args[0].channel).to.be.equal("unlisted");
+    });
+  });
+
+  it("should throw error for an unknown channel", () => {
+    return runSignCmd({
+      cmdOptions: {
+        channel: "beta",
+      },
+    }).then(() => {
+      throw new Error("unexpected success");
+    }).catch((error) => {
+      expect(error).to.be.instanceof(InvalidArgumentError);
+      expect(error.message).to.include('unknown channel "beta"');
+      expect(signingCall.called).to.be.equal(false);
+    });
+  });
+
+  it("prints validation messages", () => {
+    var fakeLogger = {
+      log: sinon.spy(() => {}),
+      error: sinon.spy(() => {}),
+    };
+    return runSignCmd({
+      throwError: false,
+      logger: fakeLogger,
+      StubAMOClient: makeAMOClientStub({
+        result: {
+          success: false,
+          validation: {
+            errors: [{file: "install.rdf", line: 12, message: "Some error",
+                      severity: "error"}],
+            warnings: [],
+            notices: [],
+          },
+        },
+      }),
+    }).then(function() {
+      var output = fakeLogger.log.args.map((args) => args[0]).join("\n");
+      expect(output).to.include("install.rdf:\n  error: Some error");
+      expect(mockProcessExit.firstCall.args[0]).to.be.equal(1);
+    });
+  });
+
+  it("can fail on validation warnings", () => {
+    return runSignCmd({
+      throwError: false,
+      cmdOptions: {
+        failOnWarnings: true,
+      },
+      logger: {
+        log: () => {},
+        error: () => {},
+      },
+      StubAMOClient: makeAMOClientStub({
+        result: {
+          success: true,
+          validation: {
+            errors: [],
+            warnings: [{file: "install.rdf", line: null,
+                        message: "Missing update URL",
+                        severity: "warning"}],
+            notices: [],
+          },
+        },
+      }),
+    }).then(function() {
+      expect(mockProcessExit.firstCall.args[0])
+        .to.be.equal(exitCodes.failedValidation);
+    });
+  });
+
+  it("exits with a distinct code for each signing status", () => {
+    var statuses = [
+      signingStatus.failedValidation,
+      signingStatus.manualReview,
+      signingStatus.serverRejected,
+      signingStatus.reviewRejected,
+    ];
+    var exitCodesByStatus = {};
+
+    return statuses.reduce((previousRun, status) => {
+      return previousRun.then(() => runSignCmd({
+        throwError: false,
+        StubAMOClient: makeAMOClientStub({
+          result: {success: false, status},
+        }),
+      })).then(() => {
+        exitCodesByStatus[status] = mockProcessExit.lastCall.args[0];
+      });
+    }, when.resolve()).then(() => {
+      expect(exitCodesByStatus).to.be.deep.equal({
+        failedValidation: 2,
+        manualReview: 3,
+        serverRejected: 4,
+        reviewRejected: 5,
+      });
+    });
+  });
+
   it("should exit 1 on signing failure", () => {
     return runSignCmd({
       throwError: false,
@@ -179,29 +928,96 @@ describe("sign", function() {
     });
   });
 
-  it("should throw error when id is empty", () => {
+  it("reads an empty id from the XPI manifest", () => {
+    return runSignCmd({
+      cmdOptions: {
+        id: null,
+      },
+    }).then(() => {
+      expect(signingCall.firstCall.args[0].guid)
+        .to.be.equal("@simple-addon");
+    });
+  });
+
+  it("reads an empty version from the XPI manifest", () => {
+    return runSignCmd({
+      cmdOptions: {
+        version: null,
+      },
+    }).then(() => {
+      expect(signingCall.firstCall.args[0].version).to.be.equal("1.0.0");
+    });
+  });
+
+  it("reads id and version from a WebExtension manifest", () => {
     return runSignCmd({
       cmdOptions: {
+        xpiPath: path.join(fixturePath, "minimal-web-ext.xpi"),
         id: null,
+        version: null,
+      },
+    }).then(() => {
+      expect(signingCall.firstCall.args[0].guid)
+        .to.be.equal("minimal-web-ext@somewhere");
+      expect(signingCall.firstCall.args[0].version).to.be.equal("1.0");
+    });
+  });
+
+  it("should throw error when id does not match the manifest", () => {
+    return runSignCmd({
+      cmdOptions: {
+        id: "some-addon@somewhere",
+      },
+    }).then(() => {
+      throw new Error("unexpected success");
+    }).catch((error) => {
+      expect(error).to.be.instanceof(InvalidArgumentError);
+      expect(error.message).to.include(
+        "id \"some-addon@somewhere\" does not match");
+      expect(signingCall.called).to.be.equal(false);
+    });
+  });
+
+  it("should throw error when version does not match the manifest", () => {
+    return runSignCmd({
+      cmdOptions: {
         version: "0.0.1",
       },
     }).then(() => {
       throw new Error("unexpected success");
     }).catch((error) => {
-      expect(error.message).to.match(/argument was empty: id/);
+      expect(error.message).to.include("version \"0.0.1\" does not match");
+      expect(signingCall.called).to.be.equal(false);
     });
   });
 
-  it("should throw error when version is empty", () => {
+  it("should throw error when the XPI is not a zip file", () => {
     return runSignCmd({
       cmdOptions: {
-        id: "some-addon@somewhere",
-        version: null,
+        xpiPath: path.join(fixturePath, "simple-addon", "index.js"),
       },
     }).then(() => {
       throw new Error("unexpected success");
     }).catch((error) => {
-      expect(error.message).to.match(/argument was empty: version/);
+      expect(error).to.be.instanceof(XpiFileError);
+      expect(error.message).to.match(/could not read .*index\.js/);
+    });
+  });
+
+  it("checks the XPI before uploading it", () => {
+    return runSignCmd({
+      cmdOptions: {
+        version: "1.0.0 beta",
+        maxXpiSize: 10,
+      },
+    }).then(() => {
+      throw new Error("unexpected success");
+    }).catch((error) => {
+      expect(error).to.be.instanceof(PreflightError);
+      expect(error.problems.length).to.be.equal(2);
+      expect(error.message).to.include('version "1.0.0 beta"');
+      expect(error.message).to.include("the XPI is too large");
+      expect(fakeClientContructor.called).to.be.equal(false);
     });
   });
 
@@ -213,10 +1029,25 @@ describe("sign", function() {
     }).then(() => {
       throw new Error("unexpected success");
     }).catch((error) => {
+      expect(error).to.be.instanceof(MissingArgumentError);
+      expect(error.argument).to.be.equal("xpiPath");
       expect(error.message).to.match(/argument was empty: xpiPath/);
     });
   });
 
+  it("should throw error when the XPI does not exist", () => {
+    return runSignCmd({
+      cmdOptions: {
+        xpiPath: "/not/a/real/path.xpi",
+      },
+    }).then(() => {
+      throw new Error("unexpected success");
+    }).catch((error) => {
+      expect(error).to.be.instanceof(XpiFileError);
+      expect(error.message).to.include("error with /not/a/real/path.xpi");
+    });
+  });
+
   it("should throw error when apiKey is empty", () => {
     return runSignCmd({
       cmdOptions: {
@@ -241,4 +1072,178 @@ describe("sign", function() {
     });
   });
 
+  it("resumes signing a submitted version", () => {
+    return resumeSigningAndExit({
+      apiKey: "some-key",
+      apiSecret: "some-secret",
+      id: "@simple-addon",
+      version: "1.0.0",
+      channel: "listed",
+      timeout: 5000,
+      AMOClient: makeAMOClientStub(),
+    }, {
+      systemProcess: mockProcess,
+      throwError: true,
+    }).then(() => {
+      expect(signingCall.called).to.be.equal(false);
+      expect(resumeCall.firstCall.args[0]).to.be.deep.equal({
+        guid: "@simple-addon",
+        version: "1.0.0",
+        channel: "listed",
+      });
+      expect(fakeClientContructor.firstCall.args[0].signedStatusCheckTimeout)
+        .to.be.equal(5000);
+      expect(mockProcessExit.firstCall.args[0]).to.be.equal(0);
+    });
+  });
+
+  it("does not check warnings a resumed version has no results for", () => {
+    var log = sinon.spy(() => {});
+    var StubAMOClient = makeAMOClientStub({
+      result: {
+        success: true,
+        status: signingStatus.signed,
+        validation: null,
+        validationUnavailable: true,
+      },
+    });
+    return resumeSigningAndExit({
+      apiKey: "some-key",
+      apiSecret: "some-secret",
+      id: "@simple-addon",
+      version: "1.0.0",
+      apiVersion: "v5",
+      failOnWarnings: true,
+      AMOClient: StubAMOClient,
+    }, {
+      systemProcess: mockProcess,
+      throwError: true,
+      logger: {log, error: () => {}},
+    }).then(() => {
+      expect(log.args.map((args) => args[0]))
+        .to.include("Warnings were not checked: the validation results " +
+                    "of a resumed version are not available");
+      expect(mockProcessExit.firstCall.args[0]).to.be.equal(0);
+    });
+  });
+
+  it("refuses long review timeouts when resuming", () => {
+    return resumeSigningAndExit({
+      apiKey: "some-key",
+      apiSecret: "some-secret",
+      id: "@simple-addon",
+      version: "1.0.0",
+      waitForReview: true,
+      reviewTimeout: 2592000000,
+      AMOClient: makeAMOClientStub(),
+    }, {
+      systemProcess: mockProcess,
+      throwError: true,
+    }).then(() => {
+      throw new Error("unexpected success");
+    }).catch((error) => {
+      expect(error).to.be.instanceof(InvalidArgumentError);
+      expect(resumeCall.called).to.be.equal(false);
+    });
+  });
+
+  it("requires a version to resume signing", () => {
+    return resumeSigningAndExit({
+      apiKey: "some-key",
+      apiSecret: "some-secret",
+      id: "@simple-addon",
+      AMOClient: makeAMOClientStub(),
+    }, {
+      systemProcess: mockProcess,
+      throwError: true,
+    }).then(() => {
+      throw new Error("unexpected success");
+    }).catch((error) => {
+      expect(error).to.be.instanceof(MissingArgumentError);
+      expect(error.argument).to.be.equal("version");
+      expect(resumeCall.called).to.be.equal(false);
+    });
+  });
+
+  it("lists the versions of an add-on", () => {
+    var log = sinon.spy(() => {});
+    var StubAMOClient = makeAMOClientStub({
+      versions: [
+        {version: "1.1", channel: "listed", signed: false},
+        {version: "1.0", channel: null, signed: true},
+      ],
+    });
+    return listVersionsAndExit({
+      apiKey: "some-key",
+      apiSecret: "some-secret",
+      id: "@simple-addon",
+      apiVersion: "v5",
+      AMOClient: StubAMOClient,
+    }, {
+      systemProcess: mockProcess,
+      logger: {log, error: () => {}},
+      throwError: true,
+    }).then(() => {
+      expect(StubAMOClient.prototype.listVersions.firstCall.args[0])
+        .to.be.equal("@simple-addon");
+      expect(fakeClientContructor.firstCall.args[0].apiUrlPrefix)
+        .to.be.equal("https://addons.mozilla.org/api/v5");
+      expect(log.args.map((args) => args[0])).to.be.deep.equal([
+        "1.1\tlisted\tnot signed",
+        "1.0\t-\tsigned",
+      ]);
+      expect(mockProcessExit.firstCall.args[0]).to.be.equal(0);
+    });
+  });
+
+  it("requires an ID to list versions", () => {
+    return listVersionsAndExit({
+      apiKey: "some-key",
+      apiSecret: "some-secret",
+      AMOClient: makeAMOClientStub(),
+    }, {
+      systemProcess: mockProcess,
+      logger: {log: () => {}, error: () => {}},
+    }).then(() => {
+      expect(fakeClientContructor.called).to.be.equal(false);
+      expect(mockProcessExit.firstCall.args[0]).to.be.equal(1);
+    });
+
+  it("prints the account of the credentials", () => {
+    var log = sinon.spy(() => {});
+    var StubAMOClient = makeAMOClientStub();
+    return whoamiAndExit({
+      apiKey: "some-key",
+      apiSecret: "some-secret",
+      AMOClient: StubAMOClient,
+    }, {
+      systemProcess: mockProcess,
+      logger: {log, error: () => {}},
+      throwError: true,
+    }).then(() => {
+      expect(StubAMOClient.prototype.verifyCredentials.called)
+        .to.be.equal(true);
+      expect(log.firstCall.args[0]).to.be.equal("some-user (Some User)");
+      expect(mockProcessExit.firstCall.args[0]).to.be.equal(0);
+    });
+  });
+
+  it("exits 1 when the credentials are rejected", () => {
+    var error = sinon.spy(() => {});
+    return whoamiAndExit({
+      apiKey: "some-key",
+      apiSecret: "some-secret",
+      AMOClient: makeAMOClientStub({
+        credentialsError: new AuthenticationError("bad signature"),
+      }),
+    }, {
+      systemProcess: mockProcess,
+      logger: {log: () => {}, error},
+    }).then(() => {
+      expect(error.secondCall.args[0]).to.include("bad signature");
+      expect(mockProcessExit.firstCall.args[0]).to.be.equal(1);
+    });
+  });
+  });
+
 });
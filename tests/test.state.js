@@ -0,0 +1,124 @@
+import {afterEach, beforeEach, describe, it} from "mocha";
+import crypto from "crypto";
+import fs from "mz/fs";
+import os from "os";
+import path from "path";
+import {expect} from "chai";
+
+import * as state from "../src/state";
+
+const fixturePath = path.join(path.resolve(__dirname), "fixtures");
+
+
+describe("state.getStateFilePath", function() {
+
+  it("names the file after the add-on version", () => {
+    expect(state.getStateFilePath("/state", "my-addon@jetpack", "1.0"))
+      .to.be.equal(path.join("/state", "my-addon@jetpack-1.0.json"));
+  });
+
+  it("replaces characters that don't belong in file names", () => {
+    expect(state.getStateFilePath(
+      "/state", "{d0b9cf8d-a2c5-4b4a-ab6c-d8db8a6f1bd2}", "1.0/beta"))
+      .to.be.equal(path.join(
+        "/state", "_d0b9cf8d-a2c5-4b4a-ab6c-d8db8a6f1bd2_-1.0_beta.json"));
+  });
+
+});
+
+
+describe("state.hashFile", function() {
+
+  it("returns the SHA-256 hash of a file", () => {
+    var xpiPath = path.join(fixturePath, "simple-addon.xpi");
+    return fs.readFile(xpiPath).then((content) => {
+      var expectedHash = crypto.createHash("sha256")
+        .update(content).digest("hex");
+      return state.hashFile(xpiPath).then((hash) => {
+        expect(hash).to.be.equal(expectedHash);
+      });
+    });
+  });
+
+  it("rejects for missing files", () => {
+    return state.hashFile("/not/a/real/path.xpi").then(() => {
+      throw new Error("unexpected success");
+    }).catch((error) => {
+      expect(error.code).to.be.equal("ENOENT");
+    });
+  });
+
+});
+
+
+describe("state.SubmissionState", function() {
+  var stateDir;
+  var stateFile;
+
+  beforeEach(function() {
+    stateDir = path.join(os.tmpdir(),
+                         `sign-addon-test-${process.pid}-${Date.now()}`);
+    stateFile = path.join(stateDir, "addon-1.0.json");
+  });
+
+  afterEach(function() {
+    return fs.unlink(stateFile).catch(() => {})
+      .then(() => fs.rmdir(stateDir)).catch(() => {});
+  });
+
+  it("reads nothing when there is no state file", () => {
+    return new state.SubmissionState(stateFile).read().then((data) => {
+      expect(data).to.be.equal(null);
+    });
+  });
+
+  it("saves changes", () => {
+    var submission = new state.SubmissionState(stateFile);
+    submission.update({statusUrl: "/status", phase: "uploaded"});
+    return submission.update({phase: "processing"})
+      .then(() => new state.SubmissionState(stateFile).read())
+      .then((data) => {
+        expect(data.statusUrl).to.be.equal("/status");
+        expect(data.phase).to.be.equal("processing");
+        expect(data.updatedAt).to.be.a("string");
+      });
+  });
+
+  it("creates the directories of the state file", () => {
+    var nestedDir = path.join(stateDir, "nested", "deeper");
+    var nestedFile = path.join(nestedDir, "addon-1.0.json");
+    return new state.SubmissionState(nestedFile).update({phase: "uploaded"})
+      .then(() => new state.SubmissionState(nestedFile).read())
+      .then((data) => {
+        expect(data.phase).to.be.equal("uploaded");
+      })
+      .then(() => fs.unlink(nestedFile))
+      .then(() => fs.rmdir(nestedDir))
+      .then(() => fs.rmdir(path.dirname(nestedDir)));
+  });
+
+  it("removes the state file", () => {
+    var submission = new state.SubmissionState(stateFile);
+    return submission.update({phase: "uploaded"})
+      .then(() => submission.remove())
+      .then(() => fs.exists(stateFile))
+      .then((exists) => {
+        expect(exists).to.be.equal(false);
+        expect(submission.data).to.be.equal(null);
+        // Removing it again is fine.
+        return submission.remove();
+      });
+  });
+
+  it("rejects for broken state files", () => {
+    return fs.mkdir(stateDir)
+      .then(() => fs.writeFile(stateFile, "}{"))
+      .then(() => new state.SubmissionState(stateFile).read())
+      .then(() => {
+        throw new Error("unexpected success");
+      }).catch((error) => {
+        expect(error).to.be.instanceof(SyntaxError);
+      });
+  });
+
+});
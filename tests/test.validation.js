@@ -0,0 +1,145 @@
+import {describe, it} from "mocha";
+import {expect} from "chai";
+
+import * as validation from "../src/validation";
+
+
+describe("validation.getValidationMessages", function() {
+
+  it("groups messages by severity", () => {
+    var messages = validation.getValidationMessages({
+      messages: [
+        {type: "error", message: "Some error", file: "install.rdf",
+         line: 12},
+        {type: "warning", message: "Some warning", file: "lib/main.js"},
+        {type: "notice", message: "Some notice"},
+      ],
+    });
+    expect(messages).to.be.deep.equal({
+      errors: [{file: "install.rdf", line: 12, message: "Some error",
+                severity: "error"}],
+      warnings: [{file: "lib/main.js", line: null, message: "Some warning",
+                  severity: "warning"}],
+      notices: [{file: null, line: null, message: "Some notice",
+                 severity: "notice"}],
+    });
+  });
+
+  it("joins paths of files nested in archives", () => {
+    var messages = validation.getValidationMessages({
+      messages: [{type: "error", message: "Bad", file: ["lib.jar", "a.js"]}],
+    });
+    expect(messages.errors[0].file).to.be.equal("lib.jar/a.js");
+  });
+
+  it("treats unknown message types as notices", () => {
+    var messages = validation.getValidationMessages({
+      messages: [{type: "info", message: "Something"}],
+    });
+    expect(messages.notices[0].severity).to.be.equal("notice");
+  });
+
+  it("handles empty results", () => {
+    var messages = validation.getValidationMessages({});
+    expect(validation.countValidationMessages(messages)).to.be.equal(0);
+  });
+
+});
+
+
+describe("validation.formatValidationMessages", function() {
+
+  it("groups messages by file", () => {
+    var text = validation.formatValidationMessages({
+      errors: [{file: "install.rdf", line: 12, message: "Some error",
+                severity: "error"}],
+      warnings: [{file: "lib/main.js", line: null, message: "Some warning",
+                  severity: "warning"},
+                 {file: "install.rdf", line: null, message: "Other warning",
+                  severity: "warning"}],
+      notices: [{file: null, line: null, message: "Some notice",
+                 severity: "notice"}],
+    });
+    expect(text.split("\n")).to.be.deep.equal([
+      "(add-on):",
+      "  notice: Some notice",
+      "install.rdf:",
+      "  error: Some error (line 12)",
+      "  warning: Other warning",
+      "lib/main.js:",
+      "  warning: Some warning",
+    ]);
+  });
+
+});
+
+
+describe("validation.applyWarningsPolicy", function() {
+
+  function signedResult(warningCount) {
+    var warnings = [];
+    for (var i = 0; i < warningCount; i++) {
+      warnings.push({file: null, line: null, message: `Warning ${i}`,
+                     severity: "warning"});
+    }
+    return {
+      success: true,
+      downloadedFiles: ["addon.xpi"],
+      validation: {errors: [], warnings: warnings, notices: []},
+    };
+  }
+
+  it("allows warnings by default", () => {
+    var result = signedResult(2);
+    expect(validation.applyWarningsPolicy(result)).to.be.equal(result);
+  });
+
+  it("can fail on any warnings", () => {
+    var result = validation.applyWarningsPolicy(signedResult(1), {
+      failOnWarnings: true,
+    });
+    expect(result.success).to.be.equal(false);
+    expect(result.status).to.be.equal("failedValidation");
+    expect(result.offendingWarnings[0].message).to.be.equal("Warning 0");
+    // The downloaded files are still reported.
+    expect(result.downloadedFiles).to.be.deep.equal(["addon.xpi"]);
+  });
+
+  it("passes without warnings", () => {
+    var result = validation.applyWarningsPolicy(signedResult(0), {
+      failOnWarnings: true,
+    });
+    expect(result.success).to.be.equal(true);
+  });
+
+  it("allows a maximum number of warnings", () => {
+    expect(validation.applyWarningsPolicy(signedResult(2), {maxWarnings: 2})
+      .success).to.be.equal(true);
+    expect(validation.applyWarningsPolicy(signedResult(3), {maxWarnings: 2})
+      .success).to.be.equal(false);
+  });
+
+  it("fails without validation results", () => {
+    var result = validation.applyWarningsPolicy(
+      {success: true, validation: null}, {maxWarnings: 2});
+    expect(result.success).to.be.equal(false);
+    expect(result.offendingWarnings).to.be.deep.equal([]);
+  });
+
+  it("passes results that cannot have validation results", () => {
+    var result = validation.applyWarningsPolicy({
+      success: true,
+      validation: null,
+      validationUnavailable: true,
+    }, {failOnWarnings: true});
+    expect(result.success).to.be.equal(true);
+    expect(result.warningsUnchecked).to.be.equal(true);
+  });
+
+  it("leaves failed results alone", () => {
+    var result = {success: false, validation: null};
+    expect(validation.applyWarningsPolicy(result, {failOnWarnings: true}))
+      .to.be.equal(result);
+  });
+
+});
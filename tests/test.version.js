@@ -0,0 +1,129 @@
+import {describe, it} from "mocha";
+import {expect} from "chai";
+
+import * as version from "../src/version";
+
+
+describe("version.isValidVersion", function() {
+
+  it("accepts toolkit versions", () => {
+    ["1", "1.0", "1.2.3.4", "2.0b1", "1.0a2pre", "1.0pre", "1.0+", "1.*"]
+      .forEach((value) => {
+        expect(version.isValidVersion(value)).to.be.equal(true, value);
+      });
+  });
+
+  it("refuses other versions", () => {
+    ["", "1..0", "1.0 beta", ".1", "1.", "1.0-beta!", "v1.0_1"]
+      .forEach((value) => {
+        expect(version.isValidVersion(value)).to.be.equal(false, value);
+      });
+  });
+
+});
+
+
+describe("version.parseVersion", function() {
+
+  it("parses each part", () => {
+    expect(version.parseVersion("1.0a2pre.*")).to.be.deep.equal([
+      {numA: 1, strB: null, numC: 0, extraD: null},
+      {numA: 0, strB: "a", numC: 2, extraD: "pre"},
+      {numA: Infinity, strB: null, numC: 0, extraD: null},
+    ]);
+  });
+
+  it("reads a plus as the next number before its release", () => {
+    expect(version.parseVersion("1+")).to.be.deep.equal(
+      version.parseVersion("2pre"));
+  });
+
+});
+
+
+describe("version.compareVersions", function() {
+
+  // Each version is lower than the next one.
+  var orderedVersions = [
+    "1.-1",
+    "1",
+    "1.0.1",
+    "1.1a",
+    "1.1aa",
+    "1.1ab",
+    "1.1b",
+    "1.1c",
+    "1.1pre",
+    "1.1pre1a",
+    "1.1pre1",
+    "1.1pre10a",
+    "1.1pre10",
+    "1.1",
+    "1.1.0.1",
+    "1.1.1",
+    "1.1.*",
+    "1.*",
+    "2.0",
+    "2.1",
+    "3.0.-1",
+    "3.0",
+  ];
+
+  it("orders toolkit versions", () => {
+    orderedVersions.forEach((lower, i) => {
+      orderedVersions.slice(i + 1).forEach((higher) => {
+        expect(version.compareVersions(lower, higher))
+          .to.be.equal(-1, `${lower} < ${higher}`);
+        expect(version.compareVersions(higher, lower))
+          .to.be.equal(1, `${higher} > ${lower}`);
+      });
+    });
+  });
+
+  it("treats missing parts as zero", () => {
+    ["1", "1.0", "1.0.0", "1.0.0.0"].forEach((value) => {
+      expect(version.compareVersions("1.0", value)).to.be.equal(0, value);
+    });
+    expect(version.compareVersions("1.1pre", "1.1pre0")).to.be.equal(0);
+    expect(version.compareVersions("1.0+", "1.1pre")).to.be.equal(0);
+  });
+
+  it("compares numbers numerically", () => {
+    expect(version.compareVersions("1.10", "1.9")).to.be.equal(1);
+    expect(version.compareVersions("2.0a10", "2.0a9")).to.be.equal(1);
+  });
+
+});
+
+
+describe("version.getHighestVersion", function() {
+
+  it("returns the highest version", () => {
+    expect(version.getHighestVersion(["1.0", "1.10", "1.9", "1.10b1"]))
+      .to.be.equal("1.10");
+  });
+
+  it("returns null without versions", () => {
+    expect(version.getHighestVersion([])).to.be.equal(null);
+  });
+
+});
+
+
+describe("version.autoVersionStrategies", function() {
+
+  it("appends a build number", () => {
+    var build = version.autoVersionStrategies.build;
+    expect(build("1.0", {attempt: 1})).to.be.equal("1.0.1");
+    expect(build("1.0", {attempt: 2})).to.be.equal("1.0.2");
+  });
+
+  it("appends the date and time", () => {
+    var timestamp = version.autoVersionStrategies.timestamp;
+    var now = () => Date.UTC(2016, 9, 19, 9, 30, 5);
+    expect(timestamp("1.0", {now})).to.be.equal("1.0.20161019.93005");
+    expect(version.isValidVersion(timestamp("1.0", {now: Date.now})))
+      .to.be.equal(true);
+  });
+
+});
@@ -0,0 +1,218 @@
+import {afterEach, beforeEach, describe, it} from "mocha";
+import fs from "mz/fs";
+import os from "os";
+import path from "path";
+import {expect} from "chai";
+import when from "when";
+
+import * as xpi from "../src/xpi";
+
+const fixturePath = path.join(path.resolve(__dirname), "fixtures");
+
+
+describe("xpi.readXpiFiles", function() {
+
+  it("reads requested files", () => {
+    var xpiPath = path.join(fixturePath, "simple-addon.xpi");
+    return xpi.readXpiFiles(xpiPath, ["index.js", "not-a-file.js"])
+      .then((files) => {
+        expect(files).to.have.keys(["index.js"]);
+        expect(files["index.js"].toString()).to.include("Simple addon");
+      });
+  });
+
+});
+
+
+describe("xpi.buildXpi", function() {
+  var tempDir;
+
+  function makeFile(relativePath, content="") {
+    var filePath = path.join(tempDir, "src", relativePath);
+    return makeDirs(path.dirname(filePath))
+      .then(() => fs.writeFile(filePath, content));
+  }
+
+  function makeDirs(dirPath) {
+    return fs.stat(dirPath).catch(() => {
+      return makeDirs(path.dirname(dirPath)).then(() => fs.mkdir(dirPath));
+    });
+  }
+
+  function removeDir(dirPath) {
+    return fs.readdir(dirPath).then((names) => {
+      return when.all(names.map((name) => {
+        var entryPath = path.join(dirPath, name);
+        return fs.stat(entryPath).then((stats) => {
+          return stats.isDirectory() ?
+            removeDir(entryPath) : fs.unlink(entryPath);
+        });
+      }));
+    }).then(() => fs.rmdir(dirPath));
+  }
+
+  beforeEach(function() {
+    tempDir = path.join(os.tmpdir(),
+                        `sign-addon-test-${process.pid}-${Date.now()}`);
+    return makeFile("manifest.json", "{}")
+      .then(() => makeFile("lib/main.js", "main();"))
+      .then(() => makeFile("data/panel.html", "<p></p>"));
+  });
+
+  afterEach(function() {
+    return removeDir(tempDir);
+  });
+
+  it("lists source files in a stable order", () => {
+    return xpi.listSourceFiles(path.join(tempDir, "src")).then((files) => {
+      expect(files).to.be.deep.equal(
+        ["data/panel.html", "lib/main.js", "manifest.json"]);
+    });
+  });
+
+  it("excludes VCS directories, dependencies and XPIs", () => {
+    return makeFile(".git/HEAD", "ref: refs/heads/master")
+      .then(() => makeFile("node_modules/dep/index.js"))
+      .then(() => makeFile("lib/old-build.xpi"))
+      .then(() => xpi.listSourceFiles(path.join(tempDir, "src")))
+      .then((files) => {
+        expect(files).to.be.deep.equal(
+          ["data/panel.html", "lib/main.js", "manifest.json"]);
+      });
+  });
+
+  it("leaves out files listed in .amoignore", () => {
+    return makeFile(".amoignore", "# Comments are allowed.\ndata/\n*.html\n")
+      .then(() => makeFile("lib/test.html"))
+      .then(() => xpi.listSourceFiles(path.join(tempDir, "src")))
+      .then((files) => {
+        expect(files).to.be.deep.equal(["lib/main.js", "manifest.json"]);
+      });
+  });
+
+  it("leaves out files matching ignoreFiles patterns", () => {
+    return makeFile(".amoignore", "data/")
+      .then(() => makeFile("secrets.json"))
+      .then(() => xpi.listSourceFiles(path.join(tempDir, "src"), {
+        ignoreFiles: ["secrets.json", "lib/*.js"],
+      }))
+      .then((files) => {
+        expect(files).to.be.deep.equal(["manifest.json"]);
+      });
+  });
+
+  it("allows negated patterns", () => {
+    return xpi.listSourceFiles(path.join(tempDir, "src"), {
+      ignoreFiles: ["*.js", "*.html", "!lib/main.js"],
+    }).then((files) => {
+      expect(files).to.be.deep.equal(["lib/main.js", "manifest.json"]);
+    });
+  });
+
+  it("builds an XPI without ignored files", () => {
+    var xpiPath = path.join(tempDir, "addon.xpi");
+    return xpi.buildXpi({
+      sourceDir: path.join(tempDir, "src"),
+      xpiPath,
+      ignoreFiles: ["data/"],
+    })
+      .then(() => xpi.readXpiFiles(xpiPath, ["data/panel.html"]))
+      .then((files) => {
+        expect(files).to.be.deep.equal({});
+      });
+  });
+
+  it("builds an XPI", () => {
+    var xpiPath = path.join(tempDir, "addon.xpi");
+    return xpi.buildXpi({sourceDir: path.join(tempDir, "src"), xpiPath})
+      .then((builtPath) => {
+        expect(builtPath).to.be.equal(xpiPath);
+        return xpi.readXpiFiles(xpiPath, ["lib/main.js"]);
+      })
+      .then((files) => {
+        expect(files["lib/main.js"].toString()).to.be.equal("main();");
+      });
+  });
+
+  it("builds a source archive without applying .amoignore", () => {
+    var archivePath = path.join(tempDir, "source.zip");
+    return makeFile(".amoignore", "lib/")
+      .then(() => makeFile("node_modules/dep/index.js"))
+      .then(() => xpi.buildSourceArchive({
+        sourceDir: path.join(tempDir, "src"),
+        archivePath,
+      }))
+      .then((builtPath) => {
+        expect(builtPath).to.be.equal(archivePath);
+        return xpi.readXpiFiles(
+          archivePath, ["lib/main.js", "node_modules/dep/index.js"]);
+      })
+      .then((files) => {
+        expect(files).to.have.keys(["lib/main.js"]);
+      });
+  });
+
+  it("rewrites files of an XPI", () => {
+    var sourceDir = path.join(tempDir, "src");
+    var xpiPath = path.join(tempDir, "addon.xpi");
+    var outputPath = path.join(tempDir, "rewritten.xpi");
+
+    return xpi.buildXpi({sourceDir, xpiPath})
+      .then(() => xpi.rewriteXpi({
+        xpiPath,
+        outputPath,
+        files: {"manifest.json": '{"version": "2.0"}'},
+      }))
+      .then(() => xpi.readXpiFiles(outputPath, null))
+      .then((files) => {
+        expect(Object.keys(files).sort()).to.be.deep.equal(
+          ["data/panel.html", "lib/main.js", "manifest.json"]);
+        expect(files["manifest.json"].toString())
+          .to.be.equal('{"version": "2.0"}');
+        expect(files["lib/main.js"].toString()).to.be.equal("main();");
+      });
+  });
+
+  it("hashes the files of an XPI without its signatures", () => {
+    var sourceDir = path.join(tempDir, "src");
+    var xpiPath = path.join(tempDir, "addon.xpi");
+    var signedPath = path.join(tempDir, "signed.xpi");
+    var changedPath = path.join(tempDir, "changed.xpi");
+
+    return makeFile("META-INF/mozilla.rsa", "signature")
+      .then(() => xpi.buildXpi({sourceDir, xpiPath: signedPath}))
+      .then(() => fs.unlink(path.join(sourceDir, "META-INF/mozilla.rsa")))
+      .then(() => fs.rmdir(path.join(sourceDir, "META-INF")))
+      .then(() => xpi.buildXpi({sourceDir, xpiPath}))
+      .then(() => xpi.rewriteXpi({
+        xpiPath,
+        outputPath: changedPath,
+        files: {"lib/main.js": "changed();"},
+      }))
+      .then(() => when.all([xpiPath, signedPath, changedPath].map(
+        (filePath) => xpi.hashXpiContents(filePath))))
+      .then(([xpiHash, signedHash, changedHash]) => {
+        expect(xpiHash).to.match(/^[0-9a-f]{64}$/);
+        expect(signedHash).to.be.equal(xpiHash);
+        expect(changedHash).to.not.be.equal(xpiHash);
+      });
+  });
+
+  it("builds identical XPIs from identical sources", () => {
+    var sourceDir = path.join(tempDir, "src");
+    var firstXpi = path.join(tempDir, "first.xpi");
+    var secondXpi = path.join(tempDir, "second.xpi");
+
+    return xpi.buildXpi({sourceDir, xpiPath: firstXpi})
+      // Touching a file must not change the result.
+      .then(() => fs.utimes(path.join(sourceDir, "lib/main.js"),
+                            new Date(), new Date()))
+      .then(() => xpi.buildXpi({sourceDir, xpiPath: secondXpi}))
+      .then(() => when.all([fs.readFile(firstXpi),
+                               fs.readFile(secondXpi)]))
+      .then((contents) => {
+        expect(contents[0].equals(contents[1])).to.be.equal(true);
+      });
+  });
+
+});